@@ -0,0 +1,171 @@
+// ===== MAIN INITIALIZATION =====
+
+import { createAnalyticsAdapter, Analytics } from './components/analytics.js';
+import { BackToTop } from './components/back-to-top.js';
+import { ConsentManager } from './components/consent-manager.js';
+import { ContactForm } from './components/contact-form.js';
+import { GitHubActivity } from './components/github-activity.js';
+import { I18n } from './components/i18n.js';
+import { LazyLoading } from './components/lazy-loading.js';
+import { MotionPreference } from './components/motion-preference.js';
+import { Navigation } from './components/navigation.js';
+import { getNotificationCenter } from './components/notification-center.js';
+import { PerformanceMonitor } from './components/performance-monitor.js';
+import { ProjectFilter } from './components/project-filter.js';
+import { ProjectModal } from './components/project-modal.js';
+import { ResumeExport } from './components/resume-export.js';
+import { ScrollAnimations } from './components/scroll-animations.js';
+import { ScrollProgress } from './components/scroll-progress.js';
+import { ScrollScheduler } from './components/scroll-scheduler.js';
+import { ServiceWorkerManager } from './components/service-worker-manager.js';
+import { Skills } from './components/skills.js';
+import { ThemeToggle } from './components/theme-toggle.js';
+import { Timeline } from './components/timeline.js';
+import { TypingAnimation } from './components/typing-animation.js';
+import { ContentLoader } from './lib/content-loader.js';
+
+export class PortfolioApp {
+    constructor() {
+        // Registry of live components by name, and the factories that (re)create them
+        this.components = new Map();
+        this.factories = new Map();
+        this.content = null;
+        this.init();
+    }
+
+    init() {
+        // Wait for DOM to be fully loaded
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.start());
+        } else {
+            this.start();
+        }
+    }
+
+    async start() {
+        const i18n = this.register('I18n', () => new I18n());
+
+        // Render data-driven sections and load translations before components query the DOM
+        const [content] = await Promise.all([
+            new ContentLoader().load(),
+            i18n ? i18n.load() : null
+        ]);
+        this.content = content;
+        this.initializeComponents();
+    }
+
+    /**
+     * Create a component and keep it in the registry. A component that throws is
+     * logged and skipped so the rest of the page still initializes.
+     * @param {string} name - Registry name, e.g. "Navigation"
+     * @param {Function} factory - Returns a new instance; called again by reinitialize()
+     * @returns {Object|null} The component, or null if it failed to initialize
+     */
+    register(name, factory) {
+        this.factories.set(name, factory);
+        return this.create(name);
+    }
+
+    create(name) {
+        try {
+            const component = this.factories.get(name)();
+            this.components.set(name, component);
+            return component;
+        } catch (error) {
+            console.error(`Error initializing ${name}:`, error);
+            this.components.delete(name);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} name - Registry name
+     * @returns {Object|null} The live component, if it initialized
+     */
+    get(name) {
+        return this.components.get(name) || null;
+    }
+
+    destroy(name) {
+        const component = this.get(name);
+        if (component && typeof component.destroy === 'function') {
+            component.destroy();
+        }
+        this.components.delete(name);
+    }
+
+    /**
+     * Tear a component down and build it again, e.g. after its section's markup changed.
+     * Components that were given a shared service (MotionPreference, ScrollScheduler, ...)
+     * keep the old instance, so reinitialize them too after swapping a service.
+     * @param {string} name - Registry name
+     * @returns {Object|null} The new component
+     */
+    reinitialize(name) {
+        if (!this.factories.has(name)) return null;
+
+        this.destroy(name);
+        return this.create(name);
+    }
+
+    destroyAll() {
+        // Reverse order so components go before the services they depend on
+        Array.from(this.components.keys()).reverse().forEach(name => this.destroy(name));
+    }
+
+    initializeComponents() {
+        // Consent and analytics first so other components' events are captured from the start
+        this.register('ConsentManager', () => new ConsentManager(this.get('I18n')));
+
+        this.register('Analytics', () => {
+            const consentManager = this.get('ConsentManager');
+            return new Analytics({
+                adapter: createAnalyticsAdapter(),
+                hasConsent: consentManager ? consentManager.hasConsent() : false
+            });
+        });
+
+        // Shared motion preference consulted by every animated component
+        this.register('MotionPreference', () => new MotionPreference(this.get('I18n')));
+
+        // Single rAF-driven scroll listener shared by scroll-linked components
+        this.register('ScrollScheduler', () => new ScrollScheduler());
+
+        // Shared toast stack; showNotification() uses the same instance
+        this.register('NotificationCenter', () => getNotificationCenter({ i18n: this.get('I18n') }));
+
+        const motion = () => this.get('MotionPreference');
+        const scroller = () => this.get('ScrollScheduler');
+
+        this.register('Navigation', () => new Navigation(motion(), scroller(), this.get('I18n')));
+        this.register('ScrollAnimations', () => new ScrollAnimations(motion()));
+        this.register('BackToTop', () => new BackToTop(motion(), scroller()));
+        this.register('ContactForm', () => new ContactForm({
+            i18n: this.get('I18n'),
+            notifications: this.get('NotificationCenter')
+        }));
+        this.register('ProjectFilter', () => new ProjectFilter(this.get('I18n')));
+        this.register('ProjectModal', () => new ProjectModal(this.content ? this.content.projects : null, this.get('I18n')));
+        this.register('Skills', () => new Skills(this.get('I18n')));
+        this.register('Timeline', () => new Timeline(this.get('I18n')));
+        this.register('GitHubActivity', () => new GitHubActivity({
+            repos: this.content && this.content.github ? this.content.github.repos : {},
+            i18n: this.get('I18n')
+        }));
+        this.register('ResumeExport', () => new ResumeExport(this.get('I18n')));
+        this.register('ScrollProgress', () => new ScrollProgress(motion(), scroller()));
+        this.register('LazyLoading', () => new LazyLoading());
+        this.register('PerformanceMonitor', () => new PerformanceMonitor(this.get('Analytics')));
+        this.register('ServiceWorkerManager', () => new ServiceWorkerManager('./sw.js', this.get('I18n')));
+
+        // Optional components
+        document.querySelectorAll('.typing-text').forEach((element, index) => {
+            const name = index === 0 ? 'TypingAnimation' : `TypingAnimation:${index}`;
+            this.register(name, () => new TypingAnimation(element, motion(), this.get('I18n')));
+        });
+
+        if (document.getElementById('theme-toggle')) {
+            this.register('ThemeToggle', () => new ThemeToggle(this.get('I18n')));
+        }
+    }
+}
@@ -0,0 +1,172 @@
+// ===== ANALYTICS =====
+
+import { Component } from './component.js';
+
+export class NoopAnalyticsAdapter {
+    send() {}
+}
+
+export class GtagAnalyticsAdapter {
+    send(events) {
+        if (typeof window.gtag !== 'function') return;
+
+        events.forEach(({ name, params }) => {
+            window.gtag('event', name, { ...params, transport_type: 'beacon' });
+        });
+    }
+}
+
+export class HttpAnalyticsAdapter {
+    constructor({ endpoint }) {
+        this.endpoint = endpoint;
+    }
+
+    send(events) {
+        const body = JSON.stringify({ events });
+
+        // sendBeacon survives page unload; fall back to a keepalive fetch when it refuses the payload
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(error => console.error('Analytics delivery failed:', error));
+    }
+}
+
+/**
+ * Create the analytics adapter configured through meta tags
+ * @returns {{send: Function}} Adapter for the "analytics-provider" meta tag (gtag, http or none)
+ */
+export function createAnalyticsAdapter() {
+    const getMeta = (name) => {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.getAttribute('content') : '';
+    };
+
+    switch (getMeta('analytics-provider')) {
+        case 'gtag':
+            return new GtagAnalyticsAdapter();
+        case 'http':
+            return new HttpAnalyticsAdapter({ endpoint: getMeta('analytics-endpoint') });
+        default:
+            return new NoopAnalyticsAdapter();
+    }
+}
+
+export class Analytics extends Component {
+    constructor({ adapter = new NoopAnalyticsAdapter(), batchSize = 20, hasConsent = false } = {}) {
+        super();
+        this.adapter = adapter;
+        this.batchSize = batchSize;
+        this.queue = [];
+        this.hasConsent = hasConsent;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+
+        // Don't drop events that were queued before teardown
+        this.onDestroy(() => this.flush());
+    }
+
+    setupEventListeners() {
+        // Flush while the page can still send; pagehide covers browsers that skip visibilitychange on unload
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        this.listen(window, 'pagehide', () => this.flush());
+
+        this.listen(document, 'click', (e) => this.handleClick(e));
+
+        this.listen(document, 'portfolio:sectionview', (e) => {
+            this.track('section_view', { section: e.detail.section });
+        });
+
+        this.listen(document, 'portfolio:formsubmit', (e) => {
+            this.track('form_submit', { form: e.detail.form, status: e.detail.status });
+        });
+
+        this.listen(document, 'portfolio:resumedownload', (e) => {
+            this.track('resume_download', { format: e.detail.format });
+        });
+
+        this.listen(document, 'portfolio:skillselect', (e) => {
+            this.track('skill_select', { skill: e.detail.skill });
+        });
+
+        this.listen(document, 'portfolio:consentchange', (e) => this.setConsent(e.detail.granted));
+    }
+
+    handleClick(e) {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+
+        if (link.closest('.project-links')) {
+            const card = link.closest('.project-card');
+            const title = card ? card.querySelector('.project-title') : null;
+
+            this.track('project_link_click', {
+                project: title ? title.textContent.trim() : '',
+                link_type: link.getAttribute('aria-label') || '',
+                url: link.href
+            });
+        } else if (link.closest('.hero-social, .footer-social')) {
+            this.track('social_click', {
+                network: link.getAttribute('aria-label') || '',
+                url: link.href
+            });
+        }
+    }
+
+    isDoNotTrackEnabled() {
+        const signal = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return signal === '1' || signal === 'yes' || navigator.globalPrivacyControl === true;
+    }
+
+    setConsent(granted) {
+        this.hasConsent = granted;
+
+        if (!granted) {
+            this.queue = [];
+        }
+    }
+
+    isEnabled() {
+        return this.hasConsent && !this.isDoNotTrackEnabled();
+    }
+
+    track(name, params = {}) {
+        if (!this.isEnabled()) return;
+
+        this.queue.push({
+            name,
+            params: { ...params, page: window.location.pathname },
+            timestamp: Date.now()
+        });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.queue.length === 0) return;
+
+        const events = this.queue;
+        this.queue = [];
+
+        try {
+            this.adapter.send(events);
+        } catch (error) {
+            console.error('Analytics flush failed:', error);
+        }
+    }
+}
@@ -0,0 +1,49 @@
+// ===== BACK TO TOP BUTTON =====
+
+import { Component } from './component.js';
+import { ScrollScheduler } from './scroll-scheduler.js';
+
+export class BackToTop extends Component {
+    constructor(motion = null, scroller = null) {
+        super();
+        this.motion = motion;
+        this.scroller = scroller;
+        // Without a shared scheduler, run a private one that goes away with this component
+        if (!this.scroller) {
+            this.scroller = new ScrollScheduler();
+            this.onDestroy(() => this.scroller.destroy());
+        }
+        this.button = document.getElementById('back-to-top');
+        this.init();
+    }
+
+    init() {
+        if (this.button) {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        // Show/hide button based on scroll position
+        this.onDestroy(this.scroller.subscribe(scrollY => this.toggleVisibility(scrollY)));
+        this.toggleVisibility(window.scrollY);
+        
+        // Smooth scroll to top when clicked
+        this.listen(this.button, 'click', () => this.scrollToTop());
+    }
+
+    toggleVisibility(scrollY) {
+        if (scrollY > 300) {
+            this.button.classList.add('visible');
+        } else {
+            this.button.classList.remove('visible');
+        }
+    }
+
+    scrollToTop() {
+        window.scrollTo({
+            top: 0,
+            behavior: this.motion ? this.motion.getScrollBehavior() : 'smooth'
+        });
+    }
+}
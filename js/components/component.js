@@ -0,0 +1,72 @@
+// ===== COMPONENT BASE =====
+
+/**
+ * Shared lifecycle for page components. Listeners added with listen(), timers
+ * from delay() and callbacks passed to onDestroy() are all released by destroy(),
+ * so a component can be torn down and created again when its DOM changes.
+ */
+export class Component {
+    constructor() {
+        this.abortController = new AbortController();
+        this.timers = new Set();
+        this.cleanups = [];
+        this.isDestroyed = false;
+    }
+
+    /**
+     * addEventListener that is removed automatically on destroy()
+     * @param {EventTarget} target - Element, document, window or other event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} options - addEventListener options
+     */
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.abortController.signal });
+    }
+
+    /**
+     * setTimeout that is cleared automatically on destroy()
+     * @param {Function} callback - Function to run
+     * @param {number} wait - Delay in milliseconds
+     * @returns {number} Timer id for clearDelay()
+     */
+    delay(callback, wait) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, wait);
+        this.timers.add(id);
+        return id;
+    }
+
+    clearDelay(id) {
+        clearTimeout(id);
+        this.timers.delete(id);
+    }
+
+    /**
+     * Register teardown work such as disconnecting observers or unsubscribing
+     * @param {Function} cleanup - Called once by destroy(), newest first
+     */
+    onDestroy(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        this.abortController.abort();
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+
+        while (this.cleanups.length) {
+            const cleanup = this.cleanups.pop();
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`Error while destroying ${this.constructor.name}:`, error);
+            }
+        }
+    }
+}
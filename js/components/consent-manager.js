@@ -0,0 +1,190 @@
+// ===== CONSENT MANAGER =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { escapeHTML } from '../utils.js';
+
+export class ConsentManager extends Component {
+    constructor(i18n = null) {
+        super();
+        this.i18n = i18n;
+        this.storageKey = 'consent';
+        // Bump when the banner text or data use changes so visitors are asked again
+        this.version = 1;
+        this.measurementId = this.getMeta('analytics-gtag-id');
+        this.scriptInjected = false;
+        this.banner = null;
+        this.record = this.getStoredRecord();
+        this.init();
+    }
+
+    init() {
+        if (this.hasConsent()) {
+            this.applyConsent(true);
+        } else if (!this.record) {
+            this.showBanner();
+        }
+
+        const preferencesLink = document.getElementById('consent-preferences');
+        if (preferencesLink) {
+            this.listen(preferencesLink, 'click', (e) => {
+                e.preventDefault();
+                this.showBanner({ focus: true });
+            });
+        }
+
+        // I18n re-translates the data-i18n copy; the status and deny label depend on the choice
+        this.listen(document, 'portfolio:localechange', () => {
+            if (this.banner) {
+                this.updateBanner();
+            }
+        });
+
+        this.onDestroy(() => {
+            if (this.banner) {
+                this.banner.remove();
+                this.banner = null;
+            }
+        });
+    }
+
+    getMeta(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.getAttribute('content') : '';
+    }
+
+    getStoredRecord() {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.storageKey));
+            // Choices made against an older policy version no longer count
+            return record && record.version === this.version ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    hasConsent() {
+        return Boolean(this.record && this.record.status === 'granted');
+    }
+
+    setConsent(granted) {
+        this.record = {
+            status: granted ? 'granted' : 'denied',
+            timestamp: new Date().toISOString(),
+            version: this.version
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.record));
+        } catch (error) {
+            // Storage unavailable; the choice applies to this page view only
+        }
+
+        this.applyConsent(granted);
+        this.hideBanner();
+
+        document.dispatchEvent(new CustomEvent('portfolio:consentchange', { detail: { granted } }));
+    }
+
+    applyConsent(granted) {
+        if (typeof window.gtag === 'function') {
+            window.gtag('consent', 'update', { analytics_storage: granted ? 'granted' : 'denied' });
+        }
+
+        if (granted) {
+            this.injectAnalyticsScript();
+        } else {
+            this.clearAnalyticsCookies();
+        }
+    }
+
+    injectAnalyticsScript() {
+        if (this.scriptInjected || !this.measurementId) return;
+        this.scriptInjected = true;
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(this.measurementId)}`;
+        document.head.appendChild(script);
+    }
+
+    clearAnalyticsCookies() {
+        const domains = ['', window.location.hostname, `.${window.location.hostname}`];
+
+        document.cookie.split(';')
+            .map(cookie => cookie.split('=')[0].trim())
+            .filter(name => name === '_ga' || name.startsWith('_ga_') || name === '_gid')
+            .forEach(name => {
+                domains.forEach(domain => {
+                    const domainPart = domain ? `; domain=${domain}` : '';
+                    document.cookie = `${name}=; Max-Age=0; path=/${domainPart}`;
+                });
+            });
+    }
+
+    showBanner({ focus = false } = {}) {
+        if (!this.banner) {
+            this.createBanner();
+        }
+
+        this.updateBanner();
+
+        this.banner.hidden = false;
+        requestAnimationFrame(() => {
+            // destroy() may have removed the banner before the frame
+            if (this.banner) {
+                this.banner.classList.add('show');
+            }
+        });
+        // The first-visit banner must not pull focus away from the page
+        if (focus) {
+            this.banner.querySelector('[data-consent="grant"]').focus();
+        }
+    }
+
+    updateBanner() {
+        const isGranted = this.hasConsent();
+        this.banner.querySelector('.consent-status').textContent = this.record
+            ? translate(this.i18n, isGranted ? 'consent.status.granted' : 'consent.status.denied')
+            : '';
+        this.banner.querySelector('[data-consent="deny"]').textContent = translate(this.i18n, isGranted ? 'consent.withdraw' : 'consent.decline');
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+
+        this.banner.classList.remove('show');
+        this.delay(() => {
+            this.banner.hidden = true;
+        }, 300);
+    }
+
+    createBanner() {
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'dialog');
+        this.banner.setAttribute('aria-labelledby', 'consent-title');
+        this.banner.hidden = true;
+        const text = key => escapeHTML(translate(this.i18n, key));
+        this.banner.innerHTML = `
+            <div class="consent-content">
+                <h2 id="consent-title" class="consent-title" data-i18n="consent.title">${text('consent.title')}</h2>
+                <p data-i18n="consent.description">${text('consent.description')}</p>
+                <p class="consent-status"></p>
+            </div>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-secondary" data-consent="deny"></button>
+                <button type="button" class="btn btn-primary" data-consent="grant" data-i18n="consent.allow">${text('consent.allow')}</button>
+            </div>
+        `;
+
+        this.listen(this.banner, 'click', (e) => {
+            const button = e.target.closest('[data-consent]');
+            if (button) {
+                this.setConsent(button.dataset.consent === 'grant');
+            }
+        });
+
+        document.body.appendChild(this.banner);
+    }
+}
@@ -0,0 +1,361 @@
+// ===== CONTACT FORM HANDLER =====
+
+import { Component } from './component.js';
+import { ContactOutbox } from '../lib/contact-outbox.js';
+import { HttpTransport, createContactTransport } from '../lib/contact-transports.js';
+import { getNotificationCenter } from './notification-center.js';
+import { translate } from './i18n.js';
+
+export class ContactForm extends Component {
+    constructor(options = {}) {
+        super();
+        this.form = document.getElementById('contact-form');
+        this.transport = options.transport || null;
+        this.outbox = options.outbox || null;
+        this.i18n = options.i18n || null;
+        this.notifications = options.notifications || null;
+        this.isFlushing = false;
+        this.honeypotName = 'website';
+        this.rateLimitKey = 'contactSubmissions';
+        this.renderedAt = Date.now();
+        this.init();
+    }
+
+    init() {
+        if (this.form) {
+            this.transport = this.transport || createContactTransport(this.form);
+
+            // Only HTTP transports can fail in a way worth retrying later
+            if (!this.outbox && this.transport instanceof HttpTransport && 'indexedDB' in window) {
+                this.outbox = new ContactOutbox();
+            }
+
+            // Spam protection thresholds, configurable per form
+            this.minFillTime = Number(this.form.dataset.minFillTime || 3) * 1000;
+            this.rateLimit = Number(this.form.dataset.rateLimit || 3);
+            this.rateLimitWindow = Number(this.form.dataset.rateLimitWindow || 3600) * 1000;
+
+            // data-messages="toast" moves status messages from above the form into the notification stack
+            this.useToasts = this.form.dataset.messages === 'toast';
+
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+
+        // Retry queued messages when connectivity returns
+        if (this.outbox) {
+            this.listen(window, 'online', () => this.flushOutbox());
+            this.onDestroy(() => this.outbox.close());
+            this.flushOutbox();
+        }
+        
+        // Add real-time validation
+        const inputs = this.form.querySelectorAll('input, textarea');
+        inputs.forEach(input => {
+            this.listen(input, 'blur', () => this.validateField(input));
+            this.listen(input, 'input', () => this.clearValidationError(input));
+        });
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+
+        if (!this.passesSpamChecks()) {
+            // Deliberately vague so bots learn nothing about which check failed
+            this.showMessage(translate(this.i18n, 'contact.status.blocked'), 'error');
+            return;
+        }
+
+        if (this.validateForm()) {
+            this.submitForm();
+        }
+    }
+
+    passesSpamChecks() {
+        const honeypot = this.form.elements[this.honeypotName];
+        if (honeypot && honeypot.value) {
+            return false;
+        }
+
+        if (Date.now() - this.renderedAt < this.minFillTime) {
+            return false;
+        }
+
+        return this.getRecentSubmissions().length < this.rateLimit;
+    }
+
+    getRecentSubmissions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.rateLimitKey)) || [];
+            const cutoff = Date.now() - this.rateLimitWindow;
+            return stored.filter(timestamp => timestamp > cutoff);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSubmission() {
+        try {
+            const submissions = [...this.getRecentSubmissions(), Date.now()];
+            localStorage.setItem(this.rateLimitKey, JSON.stringify(submissions));
+        } catch (error) {
+            // Storage unavailable (e.g. private mode); skip rate limiting
+        }
+    }
+
+    validateForm() {
+        const inputs = this.form.querySelectorAll('input[required], textarea[required]');
+        let isValid = true;
+
+        inputs.forEach(input => {
+            if (!this.validateField(input)) {
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    validateField(field) {
+        const value = field.value.trim();
+        const fieldType = field.type;
+        let isValid = true;
+        let errorMessage = '';
+
+        // Remove existing error
+        this.clearValidationError(field);
+
+        // Check if required field is empty
+        if (field.hasAttribute('required') && !value) {
+            isValid = false;
+            errorMessage = translate(this.i18n, 'contact.validation.required');
+        }
+        // Validate email format
+        else if (fieldType === 'email' && value) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(value)) {
+                isValid = false;
+                errorMessage = translate(this.i18n, 'contact.validation.email');
+            }
+        }
+        // Validate minimum length
+        else if (field.hasAttribute('minlength') && value.length < field.getAttribute('minlength')) {
+            isValid = false;
+            errorMessage = translate(this.i18n, 'contact.validation.minLength', { count: Number(field.getAttribute('minlength')) });
+        }
+
+        if (!isValid) {
+            this.showValidationError(field, errorMessage);
+        }
+
+        return isValid;
+    }
+
+    showValidationError(field, message) {
+        field.classList.add('error');
+        
+        // Create error message element
+        const errorElement = document.createElement('span');
+        errorElement.className = 'error-message';
+        errorElement.textContent = message;
+        
+        // Insert error message after the field
+        field.parentNode.appendChild(errorElement);
+    }
+
+    clearValidationError(field) {
+        field.classList.remove('error');
+        
+        // Remove existing error message
+        const existingError = field.parentNode.querySelector('.error-message');
+        if (existingError) {
+            existingError.remove();
+        }
+    }
+
+    async submitForm() {
+        const data = Object.fromEntries(new FormData(this.form));
+        delete data[this.honeypotName];
+        const submitButton = this.form.querySelector('button[type="submit"]');
+        const originalText = submitButton.textContent;
+
+        try {
+            // Show loading state
+            submitButton.textContent = translate(this.i18n, 'contact.sending');
+            submitButton.disabled = true;
+
+            if (this.outbox && !navigator.onLine) {
+                // Can't send and can't store it either: say so rather than dropping it
+                if (!await this.queueMessage(data)) {
+                    this.showMessage(this.getErrorMessage({ code: 'network' }), 'error');
+                    this.dispatchSubmitEvent('error');
+                }
+                return;
+            }
+
+            const result = await this.transport.send(data);
+            this.recordSubmission();
+
+            if (result.delivered) {
+                this.showMessage(translate(this.i18n, 'contact.status.delivered'), 'success');
+                this.form.reset();
+            } else {
+                this.showMessage(translate(this.i18n, 'contact.status.handedOff'), 'info');
+            }
+
+            this.dispatchSubmitEvent(result.delivered ? 'delivered' : 'handed_off');
+
+        } catch (error) {
+            if (this.shouldQueue(error) && await this.queueMessage(data)) {
+                return;
+            }
+
+            console.error('Form submission error:', error);
+            this.showMessage(this.getErrorMessage(error), 'error');
+            this.dispatchSubmitEvent('error');
+        } finally {
+            // Reset button state
+            submitButton.textContent = originalText;
+            submitButton.disabled = false;
+        }
+    }
+
+    dispatchSubmitEvent(status) {
+        // Only the outcome is shared; the message contents never leave the form
+        document.dispatchEvent(new CustomEvent('portfolio:formsubmit', {
+            detail: { form: this.form.id, status }
+        }));
+    }
+
+    shouldQueue(error) {
+        return Boolean(this.outbox) && ['network', 'timeout', 'server'].includes(error.code);
+    }
+
+    async queueMessage(data) {
+        try {
+            await this.outbox.add(data);
+        } catch (error) {
+            console.error('Could not save message to outbox:', error);
+            return false;
+        }
+
+        this.recordSubmission();
+        this.dispatchSubmitEvent('queued');
+        this.form.reset();
+        this.showMessage(translate(this.i18n, 'contact.status.queued'), 'info');
+        this.updateOutboxStatus();
+        return true;
+    }
+
+    async flushOutbox() {
+        if (this.isFlushing) return;
+
+        if (!navigator.onLine) {
+            this.updateOutboxStatus();
+            return;
+        }
+
+        this.isFlushing = true;
+
+        let sentCount = 0;
+        let failedCount = 0;
+
+        try {
+            const entries = await this.outbox.getAll();
+
+            for (const entry of entries) {
+                try {
+                    await this.transport.send(entry.data);
+                    await this.outbox.remove(entry.id);
+                    sentCount++;
+                } catch (error) {
+                    if (error.retryable) {
+                        // Still unreachable; keep the rest queued for the next attempt
+                        break;
+                    }
+
+                    console.error('Dropping undeliverable queued message:', error);
+                    await this.outbox.remove(entry.id);
+                    failedCount++;
+                }
+            }
+        } catch (error) {
+            console.error('Could not read contact outbox:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (sentCount > 0) {
+            this.notify(translate(this.i18n, 'contact.status.outboxSent', { count: sentCount }), 'success', 4000);
+        }
+
+        // The visitor was told these would be sent, so say so when they never will be
+        if (failedCount > 0) {
+            this.notify(translate(this.i18n, 'contact.status.outboxFailed', { count: failedCount }), 'error', 0);
+        }
+
+        this.updateOutboxStatus();
+    }
+
+    async updateOutboxStatus() {
+        try {
+            const pending = await this.outbox.count();
+
+            if (pending > 0) {
+                this.notify(translate(this.i18n, 'contact.status.outboxPending', { count: pending }), 'info', 6000);
+            }
+        } catch (error) {
+            console.error('Could not read contact outbox:', error);
+        }
+    }
+
+    getErrorMessage(error) {
+        switch (error.code) {
+            case 'timeout':
+                return translate(this.i18n, 'contact.errors.timeout');
+            case 'network':
+                return translate(this.i18n, 'contact.errors.network');
+            case 'rate_limited':
+                return translate(this.i18n, 'contact.errors.rateLimited');
+            case 'rejected':
+                return translate(this.i18n, 'contact.errors.rejected');
+            default:
+                return translate(this.i18n, 'contact.errors.unknown');
+        }
+    }
+
+    notify(message, type, duration) {
+        const center = this.notifications && !this.notifications.isDestroyed ? this.notifications : getNotificationCenter();
+        return center.notify(message, { type, duration });
+    }
+
+    showMessage(message, type) {
+        if (this.useToasts) {
+            this.notify(message, type, 5000);
+            return;
+        }
+
+        // Remove existing messages
+        const existingMessage = document.querySelector('.form-message');
+        if (existingMessage) {
+            existingMessage.remove();
+        }
+
+        // Create message element
+        const messageElement = document.createElement('div');
+        messageElement.className = `form-message ${type}`;
+        messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        messageElement.textContent = message;
+
+        // Insert message before the form
+        this.form.parentNode.insertBefore(messageElement, this.form);
+
+        // Auto-remove message after 5 seconds
+        this.delay(() => {
+            messageElement.remove();
+        }, 5000);
+    }
+}
@@ -0,0 +1,216 @@
+// ===== GITHUB ACTIVITY =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { GitHubClient } from '../lib/github-client.js';
+import { escapeHTML, formatDate } from '../utils.js';
+
+export class GitHubActivity extends Component {
+    constructor({ client = null, repos = {}, i18n = null } = {}) {
+        super();
+        this.container = document.querySelector('.github-activity');
+        this.client = client;
+        // Project id (card id without "project-") -> repository name
+        this.repoMap = repos || {};
+        this.i18n = i18n;
+        this.repos = null;
+        this.events = null;
+        this.error = null;
+        this.isStale = false;
+        this.originalLinks = new Map();
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.user = this.container.dataset.githubUser;
+        if (!this.user) return;
+
+        this.repoLimit = Number(this.container.dataset.repoLimit || 6);
+        this.eventLimit = Number(this.container.dataset.eventLimit || 8);
+        this.client = this.client || new GitHubClient({
+            baseUrl: this.container.dataset.githubApi || undefined
+        });
+
+        // Dates and event phrasing follow the selected language
+        this.listen(document, 'portfolio:localechange', () => this.render());
+
+        this.onDestroy(() => {
+            this.container.hidden = true;
+            this.originalLinks.forEach((href, link) => {
+                link.href = href;
+            });
+            document.querySelectorAll('.repo-stats').forEach(stats => stats.remove());
+        });
+
+        this.load();
+    }
+
+    async load() {
+        const user = encodeURIComponent(this.user);
+        const [repos, events] = await Promise.allSettled([
+            this.client.get(`/users/${user}/repos?sort=pushed&per_page=100`),
+            this.client.get(`/users/${user}/events/public?per_page=30`)
+        ]);
+
+        if (this.isDestroyed) return;
+
+        this.repos = repos.status === 'fulfilled' ? repos.value.data : null;
+        this.events = events.status === 'fulfilled' ? events.value.data : null;
+        this.isStale = [repos, events].some(result => result.status === 'fulfilled' && result.value.stale);
+
+        // Failures that were papered over with cached data still explain the status line
+        const errors = [repos, events]
+            .map(result => (result.status === 'rejected' ? result.reason : result.value.error))
+            .filter(Boolean);
+        this.error = errors.find(error => error.code === 'rate_limited') || errors[0] || null;
+        if (this.error) {
+            console.warn('GitHub activity unavailable:', this.error);
+        }
+
+        this.render();
+    }
+
+    render() {
+        if (!this.repos && !this.events) {
+            // Nothing to show; the static project cards stay as they are
+            this.container.hidden = true;
+            return;
+        }
+
+        if (this.repos) {
+            this.updateProjectCards();
+            this.renderInto('.github-repos', this.getRecentRepos().map(repo => this.renderRepo(repo)));
+        }
+
+        if (this.events) {
+            this.renderInto('.github-events', this.events.slice(0, this.eventLimit).map(event => this.renderEvent(event)));
+        }
+
+        this.renderStatus();
+        this.container.hidden = false;
+    }
+
+    renderInto(selector, items) {
+        const list = this.container.querySelector(selector);
+        if (list) {
+            list.innerHTML = items.join('');
+        }
+    }
+
+    renderStatus() {
+        const status = this.container.querySelector('.github-status');
+        if (!status) return;
+
+        let message = '';
+        if (this.error && this.error.code === 'rate_limited') {
+            message = translate(this.i18n, 'github.status.rateLimited', {
+                time: formatDate(new Date(this.error.resetAt), { hour: 'numeric', minute: '2-digit' })
+            });
+        } else if (this.error || this.isStale) {
+            message = translate(this.i18n, 'github.status.stale');
+        }
+
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    getRecentRepos() {
+        return this.repos
+            .filter(repo => !repo.fork && !repo.archived)
+            .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+            .slice(0, this.repoLimit);
+    }
+
+    updateProjectCards() {
+        const byName = new Map(this.repos.map(repo => [repo.name.toLowerCase(), repo]));
+
+        Object.entries(this.repoMap).forEach(([projectId, repoName]) => {
+            const card = document.getElementById(`project-${projectId}`);
+            const repo = byName.get(String(repoName).toLowerCase());
+            if (!card || !repo) return;
+
+            const link = card.querySelector('.project-links a[data-link="source"]');
+            if (link) {
+                if (!this.originalLinks.has(link)) {
+                    this.originalLinks.set(link, link.getAttribute('href'));
+                }
+                link.href = repo.html_url;
+            }
+
+            const content = card.querySelector('.project-content');
+            if (!content) return;
+
+            let stats = content.querySelector('.repo-stats');
+            if (!stats) {
+                stats = document.createElement('p');
+                stats.className = 'repo-stats';
+                content.querySelector('.project-title').after(stats);
+            }
+            stats.innerHTML = this.renderStats(repo);
+        });
+    }
+
+    renderStats(repo) {
+        const updated = formatDate(new Date(repo.pushed_at), { year: 'numeric', month: 'short', day: 'numeric' });
+
+        return `
+            <span>
+                <i class="fas fa-star" aria-hidden="true"></i>
+                <span aria-hidden="true">${escapeHTML(String(repo.stargazers_count))}</span>
+                <span class="sr-only">${escapeHTML(translate(this.i18n, 'github.stars', { count: repo.stargazers_count }))}</span>
+            </span>
+            ${repo.language ? `
+            <span>
+                <i class="fas fa-code" aria-hidden="true"></i> ${escapeHTML(repo.language)}
+            </span>` : ''}
+            <span>
+                <i class="fas fa-clock" aria-hidden="true"></i> ${escapeHTML(translate(this.i18n, 'github.updated', { date: updated }))}
+            </span>`;
+    }
+
+    renderRepo(repo) {
+        return `
+            <li class="github-repo">
+                <a href="${escapeHTML(repo.html_url)}" target="_blank" rel="noopener noreferrer" class="github-repo-name">${escapeHTML(repo.name)}</a>
+                ${repo.description ? `<p class="github-repo-description">${escapeHTML(repo.description)}</p>` : ''}
+                <p class="repo-stats">${this.renderStats(repo)}</p>
+            </li>`;
+    }
+
+    renderEvent(event) {
+        const repoName = event.repo ? event.repo.name : '';
+        const date = formatDate(new Date(event.created_at), { month: 'short', day: 'numeric' });
+
+        return `
+            <li class="github-event">
+                <span class="github-event-text">${escapeHTML(this.describeEvent(event))}</span>
+                <a href="https://github.com/${escapeHTML(repoName)}" target="_blank" rel="noopener noreferrer" class="github-event-repo">${escapeHTML(repoName)}</a>
+                <time datetime="${escapeHTML(event.created_at)}">${escapeHTML(date)}</time>
+            </li>`;
+    }
+
+    describeEvent(event) {
+        const payload = event.payload || {};
+
+        switch (event.type) {
+            case 'PushEvent':
+                return translate(this.i18n, 'github.events.push', { count: payload.size || (payload.commits || []).length || 1 });
+            case 'CreateEvent':
+                return translate(this.i18n, 'github.events.create', { type: payload.ref_type || 'repository' });
+            case 'PullRequestEvent':
+                return translate(this.i18n, 'github.events.pullRequest', { action: payload.action || '' });
+            case 'IssuesEvent':
+                return translate(this.i18n, 'github.events.issue', { action: payload.action || '' });
+            case 'ReleaseEvent':
+                return translate(this.i18n, 'github.events.release');
+            case 'WatchEvent':
+                return translate(this.i18n, 'github.events.star');
+            case 'ForkEvent':
+                return translate(this.i18n, 'github.events.fork');
+            default:
+                return translate(this.i18n, 'github.events.other', { type: event.type.replace(/Event$/, '') });
+        }
+    }
+}
@@ -0,0 +1,221 @@
+// ===== INTERNATIONALIZATION =====
+
+import { Component } from './component.js';
+import en from '../locales/en.js';
+
+const DEFAULT_LOCALE = 'en';
+
+function lookup(dictionary, key) {
+    return key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        dictionary
+    );
+}
+
+function format(value, params, locale) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && typeof params.count === 'number') {
+        value = value[new Intl.PluralRules(locale).select(params.count)] || value.other;
+    }
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    return value.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        name in params ? String(params[name]) : placeholder
+    ));
+}
+
+/**
+ * Translate through a component's optional I18n instance
+ * @param {I18n|null} i18n - The app's I18n; without one the bundled English is used
+ * @param {string} key - Dot-separated dictionary path
+ * @param {Object} params - Placeholder values and plural "count", as for I18n#t
+ * @returns {string|Array} Translated value, or the key itself when English lacks it too
+ */
+export function translate(i18n, key, params = {}) {
+    if (i18n) {
+        return i18n.t(key, params);
+    }
+
+    const value = lookup(en, key);
+    return value === undefined ? key : format(value, params, DEFAULT_LOCALE);
+}
+
+export class I18n extends Component {
+    constructor(basePath = './locales/') {
+        super();
+        this.basePath = basePath;
+        this.storageKey = 'locale';
+        this.defaultLocale = DEFAULT_LOCALE;
+        this.select = document.getElementById('language-select');
+        // The switcher's options are the single list of supported locales
+        this.supported = this.select
+            ? Array.from(this.select.options).map(option => option.value)
+            : [this.defaultLocale];
+        // English is bundled, so fallbacks work even when no dictionary can be fetched
+        this.dictionaries = { [DEFAULT_LOCALE]: en };
+        this.locale = this.detectLocale();
+        this.init();
+    }
+
+    init() {
+        if (this.select) {
+            this.select.value = this.locale;
+            this.listen(this.select, 'change', () => this.setLocale(this.select.value));
+        }
+    }
+
+    detectLocale() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (this.supported.includes(stored)) {
+                return stored;
+            }
+        } catch (error) {
+            // Storage blocked; fall through to the browser languages
+        }
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || this.defaultLocale];
+
+        for (const language of preferred) {
+            const normalized = language.toLowerCase();
+            const match = this.supported.find(locale => locale === normalized)
+                || this.supported.find(locale => locale === normalized.split('-')[0]);
+            if (match) return match;
+        }
+
+        return this.defaultLocale;
+    }
+
+    async load() {
+        // English, the fallback for keys a locale hasn't translated yet, is already bundled
+        await this.loadDictionary(this.locale);
+
+        this.apply();
+        return this;
+    }
+
+    async loadDictionary(locale) {
+        if (this.dictionaries[locale]) return;
+
+        try {
+            const response = await fetch(`${this.basePath}${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+            this.dictionaries[locale] = await response.json();
+        } catch (error) {
+            console.warn(`Could not load "${locale}" translations:`, error);
+        }
+    }
+
+    async setLocale(locale) {
+        if (!this.supported.includes(locale) || locale === this.locale) return;
+
+        await this.loadDictionary(locale);
+        this.locale = locale;
+
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this page view only
+        }
+
+        this.apply();
+
+        document.dispatchEvent(new CustomEvent('portfolio:localechange', {
+            detail: { locale }
+        }));
+    }
+
+    lookup(locale, key) {
+        return lookup(this.dictionaries[locale], key);
+    }
+
+    /**
+     * Translate a key for the active locale
+     * @param {string} key - Dot-separated dictionary path, e.g. "contact.send"
+     * @param {Object} params - Values for {placeholders}; a numeric "count" also selects the plural form
+     * @returns {string|Array} Translated value, or the key itself when no dictionary has it
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.locale, key);
+        if (value === undefined) {
+            value = this.lookup(this.defaultLocale, key);
+        }
+        if (value === undefined) {
+            return key;
+        }
+
+        return format(value, params, this.locale);
+    }
+
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined || this.lookup(this.defaultLocale, key) !== undefined;
+    }
+
+    apply() {
+        document.documentElement.setAttribute('lang', this.locale);
+
+        if (this.select) {
+            this.select.value = this.locale;
+        }
+
+        this.translate(document);
+
+        if (this.has('meta.title')) {
+            document.title = this.t('meta.title');
+        }
+
+        const description = document.querySelector('meta[name="description"]');
+        if (description && this.has('meta.description')) {
+            description.setAttribute('content', this.t('meta.description'));
+        }
+
+        this.updateStructuredData();
+    }
+
+    /**
+     * Apply translations to data-i18n (text) and data-i18n-attr ("attr:key;attr:key") elements
+     * @param {ParentNode} root - Subtree to translate
+     */
+    translate(root) {
+        // Untranslated keys keep the markup's original English text
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            if (this.has(key)) {
+                element.textContent = this.t(key);
+            }
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(binding => {
+                const [attribute, key] = binding.split(':').map(part => part.trim());
+                if (attribute && key && this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    updateStructuredData() {
+        const script = document.querySelector('script[type="application/ld+json"]');
+        if (!script) return;
+
+        try {
+            const data = JSON.parse(script.textContent);
+            if (this.has('meta.jobTitle')) {
+                data.jobTitle = this.t('meta.jobTitle');
+            }
+            if (this.has('meta.personDescription')) {
+                data.description = this.t('meta.personDescription');
+            }
+            script.textContent = JSON.stringify(data, null, 4);
+        } catch (error) {
+            console.warn('Could not update structured data:', error);
+        }
+    }
+}
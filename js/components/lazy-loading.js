@@ -0,0 +1,37 @@
+// ===== LAZY LOADING IMAGES =====
+
+import { Component } from './component.js';
+
+export class LazyLoading extends Component {
+    constructor() {
+        super();
+        this.images = document.querySelectorAll('img[data-src]');
+        this.init();
+    }
+
+    init() {
+        if (this.images.length > 0) {
+            this.setupIntersectionObserver();
+        }
+    }
+
+    setupIntersectionObserver() {
+        const imageObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadImage(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        });
+
+        this.images.forEach(img => imageObserver.observe(img));
+        this.onDestroy(() => imageObserver.disconnect());
+    }
+
+    loadImage(img) {
+        img.src = img.dataset.src;
+        img.classList.add('loaded');
+        img.removeAttribute('data-src');
+    }
+}
@@ -0,0 +1,99 @@
+// ===== MOTION PREFERENCE =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+
+export class MotionPreference extends Component {
+    constructor(i18n = null) {
+        super();
+        this.i18n = i18n;
+        this.storageKey = 'motion';
+        this.mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.toggleButton = document.getElementById('motion-toggle');
+        this.override = this.getStoredOverride();
+        this.listeners = new Set();
+        this.init();
+    }
+
+    init() {
+        this.apply();
+
+        this.listen(this.mediaQuery, 'change', () => {
+            // An explicit user choice wins over the OS setting
+            if (!this.override) {
+                this.apply();
+            }
+        });
+
+        if (this.toggleButton) {
+            this.listen(this.toggleButton, 'click', () => this.toggle());
+            this.listen(document, 'portfolio:localechange', () => this.updateButton(this.isReduced()));
+        }
+
+        this.onDestroy(() => this.listeners.clear());
+    }
+
+    getStoredOverride() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored === 'reduce' || stored === 'full' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isReduced() {
+        if (this.override) {
+            return this.override === 'reduce';
+        }
+        return this.mediaQuery.matches;
+    }
+
+    /**
+     * Scroll behavior to pass to window.scrollTo and friends
+     * @returns {string} "auto" when motion is reduced, otherwise "smooth"
+     */
+    getScrollBehavior() {
+        return this.isReduced() ? 'auto' : 'smooth';
+    }
+
+    toggle() {
+        const reduce = !this.isReduced();
+
+        // Only store an override when it differs from the OS setting, so "system" stays reachable
+        this.override = reduce === this.mediaQuery.matches ? null : (reduce ? 'reduce' : 'full');
+
+        try {
+            if (this.override) {
+                localStorage.setItem(this.storageKey, this.override);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this page view only
+        }
+
+        this.apply();
+    }
+
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    apply() {
+        const reduced = this.isReduced();
+        document.documentElement.setAttribute('data-motion', reduced ? 'reduced' : 'full');
+
+        this.updateButton(reduced);
+
+        this.listeners.forEach(callback => callback(reduced));
+    }
+
+    updateButton(reduced) {
+        if (!this.toggleButton) return;
+
+        this.toggleButton.setAttribute('aria-pressed', reduced);
+        this.toggleButton.setAttribute('title', translate(this.i18n, reduced ? 'motion.off' : 'motion.on'));
+    }
+}
@@ -0,0 +1,318 @@
+// ===== NAVIGATION FUNCTIONALITY =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { ScrollScheduler } from './scroll-scheduler.js';
+import { debounce } from '../utils.js';
+
+export class Navigation extends Component {
+    constructor(motion = null, scroller = null, i18n = null) {
+        super();
+        this.motion = motion;
+        this.scroller = scroller;
+        // Without a shared scheduler, run a private one that goes away with this component
+        if (!this.scroller) {
+            this.scroller = new ScrollScheduler();
+            this.onDestroy(() => this.scroller.destroy());
+        }
+        this.i18n = i18n;
+        this.navbar = document.getElementById('navbar');
+        this.navToggle = document.getElementById('nav-toggle');
+        this.navMenu = document.getElementById('nav-menu');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.activeSection = null;
+        this.isAutoScrolling = false;
+        this.autoScrollTimer = null;
+        this.scrollOffset = 0;
+        this.scrollSpy = null;
+        
+        this.init();
+    }
+
+    init() {
+        this.updateScrollOffset();
+        this.setupEventListeners();
+
+        // Honor deep links such as /#projects or /#project-ai-booking-system
+        const initialTarget = this.getHashTarget(window.location.hash);
+        if (initialTarget) {
+            this.scrollToTarget(initialTarget, 'auto');
+        }
+
+        this.setupScrollSpy();
+        this.handleNavbarScroll(window.scrollY);
+
+        this.onDestroy(() => {
+            this.scrollSpy.disconnect();
+            this.closeMobileMenu();
+        });
+    }
+
+    setupEventListeners() {
+        // Mobile menu toggle; its label names the action, so it follows the menu state and language
+        if (this.navToggle) {
+            this.updateToggleLabel();
+            this.listen(this.navToggle, 'click', () => this.toggleMobileMenu());
+            this.listen(document, 'portfolio:localechange', () => this.updateToggleLabel());
+        }
+
+        // Close mobile menu when clicking on nav links
+        this.navLinks.forEach(link => {
+            this.listen(link, 'click', () => this.closeMobileMenu());
+        });
+
+        // Smooth scrolling and history entries for every in-page link
+        this.listen(document, 'click', (e) => this.handleSmoothScroll(e));
+
+        // Back/forward between sections
+        this.listen(window, 'popstate', (e) => this.handlePopState(e));
+
+        this.listen(window, 'resize', debounce(() => {
+            if (this.isDestroyed) return;
+            this.updateScrollOffset();
+            this.setupScrollSpy();
+        }, 150));
+
+        this.onDestroy(this.scroller.subscribe(scrollY => {
+            // Keep URL updates paused until a programmatic scroll has settled
+            if (this.isAutoScrolling) {
+                this.pauseHashUpdates(150);
+            }
+
+            this.handleNavbarScroll(scrollY);
+        }));
+
+        // Keyboard support and outside clicks while the mobile menu is open
+        this.listen(document, 'keydown', (e) => this.handleMenuKeydown(e));
+        this.listen(document, 'click', (e) => this.handleOutsideClick(e));
+    }
+
+    isMenuOpen() {
+        return Boolean(this.navMenu) && this.navMenu.classList.contains('active');
+    }
+
+    updateToggleLabel() {
+        this.navToggle.setAttribute('aria-label', translate(this.i18n, this.isMenuOpen() ? 'nav.closeMenu' : 'nav.openMenu'));
+    }
+
+    toggleMobileMenu() {
+        if (this.isMenuOpen()) {
+            this.closeMobileMenu({ restoreFocus: true });
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    openMobileMenu() {
+        this.navMenu.classList.add('active');
+        this.navToggle.classList.add('active');
+        this.navToggle.setAttribute('aria-expanded', 'true');
+        this.updateToggleLabel();
+
+        // Prevent body scroll when menu is open
+        document.body.style.overflow = 'hidden';
+
+        const firstLink = this.navLinks[0];
+        if (firstLink) {
+            firstLink.focus();
+        }
+    }
+
+    closeMobileMenu({ restoreFocus = false } = {}) {
+        if (!this.isMenuOpen()) return;
+
+        this.navMenu.classList.remove('active');
+        this.navToggle.classList.remove('active');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+        this.updateToggleLabel();
+        document.body.style.overflow = '';
+
+        if (restoreFocus) {
+            this.navToggle.focus();
+        }
+    }
+
+    handleMenuKeydown(e) {
+        if (!this.isMenuOpen()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeMobileMenu({ restoreFocus: true });
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        // Trap focus in DOM order: the menu links, then the toggle in .nav-actions after them.
+        // Focus moves explicitly so the theme and language controls in between are skipped.
+        const focusable = [...this.navLinks, this.navToggle];
+        const index = focusable.indexOf(document.activeElement);
+        const step = e.shiftKey ? -1 : 1;
+
+        e.preventDefault();
+        if (index === -1) {
+            focusable[e.shiftKey ? focusable.length - 1 : 0].focus();
+        } else {
+            focusable[(index + step + focusable.length) % focusable.length].focus();
+        }
+    }
+
+    handleOutsideClick(e) {
+        if (!this.isMenuOpen()) return;
+
+        if (!this.navMenu.contains(e.target) && !this.navToggle.contains(e.target)) {
+            this.closeMobileMenu();
+        }
+    }
+
+    getScrollOffset() {
+        return this.scrollOffset;
+    }
+
+    updateScrollOffset() {
+        // Measured on init and resize only, never per scroll event
+        this.scrollOffset = this.navbar ? this.navbar.getBoundingClientRect().height : 0;
+
+        // Shared with CSS scroll-margin-top so native hash jumps land in the same place
+        document.documentElement.style.setProperty('--navbar-height', `${this.scrollOffset}px`);
+    }
+
+    setupScrollSpy() {
+        if (this.scrollSpy) {
+            this.scrollSpy.disconnect();
+        }
+
+        // Shrink the root to a 1px line just below the navbar; the section crossing it is active
+        const lineTop = Math.round(this.scrollOffset + 20);
+        const lineBottom = Math.max(window.innerHeight - lineTop - 1, 0);
+
+        this.scrollSpy = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.updateActiveLink(entry.target.id);
+                }
+            });
+        }, { rootMargin: `-${lineTop}px 0px -${lineBottom}px 0px` });
+
+        document.querySelectorAll('section[id]').forEach(section => this.scrollSpy.observe(section));
+    }
+
+    getHashTarget(hash) {
+        if (!hash || hash.length < 2) return null;
+
+        try {
+            return document.getElementById(decodeURIComponent(hash.slice(1)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    handleSmoothScroll(e) {
+        if (e.defaultPrevented) return;
+
+        const link = e.target.closest('a[href^="#"]');
+        if (!link) return;
+
+        const hash = link.getAttribute('href');
+        const targetElement = this.getHashTarget(hash);
+
+        // Bare "#" placeholders and unknown ids keep the browser's default behavior
+        if (!targetElement) return;
+
+        e.preventDefault();
+
+        if (hash !== window.location.hash) {
+            // Leaving the entry a case study was opened from; coming back to it should scroll again
+            if (history.state && history.state.caseStudyOrigin) {
+                history.replaceState({ hash: window.location.hash }, '');
+            }
+            history.pushState({ hash }, '', `${window.location.pathname}${window.location.search}${hash}`);
+        }
+
+        this.scrollToTarget(targetElement);
+    }
+
+    handlePopState(e) {
+        // Entries opened by or returning from a ProjectModal case study keep the page where it is
+        const state = e && e.state;
+        if (state && (state.caseStudy || state.caseStudyOrigin)) return;
+
+        const targetElement = this.getHashTarget(window.location.hash);
+
+        if (targetElement) {
+            this.scrollToTarget(targetElement);
+        } else if (!window.location.hash) {
+            this.pauseHashUpdates(1000);
+            window.scrollTo({ top: 0, behavior: this.getScrollBehavior() });
+        }
+    }
+
+    getScrollBehavior() {
+        return this.motion ? this.motion.getScrollBehavior() : 'smooth';
+    }
+
+    scrollToTarget(targetElement, behavior = this.getScrollBehavior()) {
+        const top = targetElement.getBoundingClientRect().top + window.scrollY - this.getScrollOffset();
+
+        this.pauseHashUpdates(1000);
+        window.scrollTo({ top, behavior });
+
+        // Move focus along with the viewport for keyboard and screen reader users
+        if (!targetElement.hasAttribute('tabindex')) {
+            targetElement.setAttribute('tabindex', '-1');
+        }
+        targetElement.focus({ preventScroll: true });
+
+        if (targetElement.matches('.project-card, .timeline-item')) {
+            targetElement.classList.add('is-targeted');
+            this.delay(() => targetElement.classList.remove('is-targeted'), 2000);
+        }
+    }
+
+    pauseHashUpdates(duration) {
+        this.isAutoScrolling = true;
+        this.clearDelay(this.autoScrollTimer);
+        this.autoScrollTimer = this.delay(() => {
+            this.isAutoScrolling = false;
+        }, duration);
+    }
+
+    updateActiveLink(sectionId) {
+        const correspondingLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
+
+        // Remove active state from all links
+        this.navLinks.forEach(link => {
+            link.classList.remove('active');
+            link.removeAttribute('aria-current');
+        });
+        // Mark the current link for both sighted and screen reader users
+        if (correspondingLink) {
+            correspondingLink.classList.add('active');
+            correspondingLink.setAttribute('aria-current', 'location');
+        }
+
+        this.setActiveSection(sectionId);
+    }
+
+    setActiveSection(sectionId) {
+        if (sectionId === this.activeSection) return;
+
+        // Reflect manual scrolling in the URL without adding history entries
+        const isInitial = this.activeSection === null;
+        if (!isInitial && !this.isAutoScrolling && window.location.hash !== `#${sectionId}`) {
+            history.replaceState({ hash: `#${sectionId}` }, '', `${window.location.pathname}${window.location.search}#${sectionId}`);
+        }
+
+        this.activeSection = sectionId;
+
+        document.dispatchEvent(new CustomEvent('portfolio:sectionview', { detail: { section: sectionId } }));
+    }
+
+    handleNavbarScroll(scrollY) {
+        if (scrollY > 100) {
+            this.navbar.classList.add('scrolled');
+        } else {
+            this.navbar.classList.remove('scrolled');
+        }
+    }
+}
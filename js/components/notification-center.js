@@ -0,0 +1,215 @@
+// ===== NOTIFICATION CENTER =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+
+let sharedCenter = null;
+
+/**
+ * Shared instance used by showNotification(); created on first use and
+ * recreated if the previous one was destroyed
+ * @param {Object} options - Constructor options, used when the instance is created
+ * @param {I18n} options.i18n - Translates the stack's labels; also handed to an existing instance
+ * @returns {NotificationCenter} Notification center
+ */
+export function getNotificationCenter(options = {}) {
+    if (!sharedCenter || sharedCenter.isDestroyed) {
+        sharedCenter = new NotificationCenter(options);
+    } else if (options.i18n) {
+        sharedCenter.setI18n(options.i18n);
+    }
+    return sharedCenter;
+}
+
+/**
+ * Stacks toasts in one corner, queues any beyond maxVisible, and pauses their
+ * timers while hovered or focused. Errors are announced as alerts, everything
+ * else as status messages.
+ */
+export class NotificationCenter extends Component {
+    constructor({ maxVisible = 3, i18n = null } = {}) {
+        super();
+        this.maxVisible = maxVisible;
+        this.i18n = i18n;
+        this.visible = [];
+        this.queue = [];
+        this.container = null;
+        this.init();
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.className = 'notification-stack';
+        document.body.appendChild(this.container);
+        this.updateLabels();
+
+        this.listen(document, 'portfolio:localechange', () => this.updateLabels());
+
+        this.onDestroy(() => {
+            this.visible.forEach(entry => this.clearTimer(entry));
+            this.container.remove();
+            this.visible = [];
+            this.queue = [];
+        });
+    }
+
+    setI18n(i18n) {
+        this.i18n = i18n;
+        this.updateLabels();
+    }
+
+    updateLabels() {
+        this.container.setAttribute('aria-label', translate(this.i18n, 'notifications.label'));
+        this.container.querySelectorAll('.notification-close').forEach(close => {
+            close.setAttribute('aria-label', translate(this.i18n, 'notifications.dismiss'));
+        });
+    }
+
+    /**
+     * Show a toast, or queue it while the stack is full
+     * @param {string} message - Text to display
+     * @param {Object} options - Display options
+     * @param {string} options.type - success, error or info
+     * @param {number} options.duration - Milliseconds on screen; 0 keeps it until dismissed
+     * @param {{label: string, onClick: Function}} options.action - Optional button; returning false from onClick keeps the toast open
+     * @param {boolean} options.dismissible - Whether to show a close button
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle for the toast
+     */
+    notify(message, { type = 'info', duration = 5000, action = null, dismissible = true } = {}) {
+        const entry = {
+            message,
+            type,
+            duration,
+            action,
+            dismissible,
+            element: this.createElement(type),
+            timer: null,
+            remaining: duration,
+            startedAt: 0,
+            isDismissed: false
+        };
+        entry.dismiss = () => this.dismiss(entry);
+
+        if (this.visible.length < this.maxVisible) {
+            this.show(entry);
+        } else {
+            this.queue.push(entry);
+        }
+
+        return { element: entry.element, dismiss: entry.dismiss };
+    }
+
+    createElement(type) {
+        const element = document.createElement('div');
+        element.className = `notification ${type}`;
+        // Errors interrupt; everything else waits for the screen reader to finish
+        element.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        return element;
+    }
+
+    render(entry) {
+        const { element, action, dismissible } = entry;
+
+        // Text goes in after the live element is attached so screen readers announce it
+        const text = document.createElement('p');
+        text.className = 'notification-message';
+        text.textContent = entry.message;
+        element.appendChild(text);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-button';
+            button.textContent = action.label;
+            this.listen(button, 'click', () => {
+                if (action.onClick() !== false) {
+                    this.dismiss(entry);
+                }
+            });
+            element.appendChild(button);
+        }
+
+        if (dismissible) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'notification-close';
+            close.setAttribute('aria-label', translate(this.i18n, 'notifications.dismiss'));
+            close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+            this.listen(close, 'click', () => this.dismiss(entry));
+            element.appendChild(close);
+        }
+    }
+
+    show(entry) {
+        this.visible.push(entry);
+        this.container.appendChild(entry.element);
+
+        requestAnimationFrame(() => {
+            if (entry.isDismissed) return;
+            this.render(entry);
+            entry.element.classList.add('show');
+        });
+
+        // Reading or reaching for a button shouldn't race the timer
+        this.listen(entry.element, 'mouseenter', () => this.pause(entry));
+        this.listen(entry.element, 'mouseleave', () => this.resume(entry));
+        this.listen(entry.element, 'focusin', () => this.pause(entry));
+        this.listen(entry.element, 'focusout', (e) => {
+            if (!entry.element.contains(e.relatedTarget)) {
+                this.resume(entry);
+            }
+        });
+
+        this.resume(entry);
+    }
+
+    pause(entry) {
+        if (!entry.timer) return;
+
+        this.clearTimer(entry);
+        entry.remaining -= Date.now() - entry.startedAt;
+    }
+
+    resume(entry) {
+        if (entry.duration <= 0 || entry.timer || entry.isDismissed) return;
+        if (entry.element.matches(':hover') || entry.element.contains(document.activeElement)) return;
+
+        entry.startedAt = Date.now();
+        entry.timer = this.delay(() => {
+            entry.timer = null;
+            this.dismiss(entry);
+        }, Math.max(entry.remaining, 0));
+    }
+
+    clearTimer(entry) {
+        if (entry.timer) {
+            this.clearDelay(entry.timer);
+            entry.timer = null;
+        }
+    }
+
+    dismiss(entry) {
+        if (entry.isDismissed) return;
+        entry.isDismissed = true;
+        this.clearTimer(entry);
+
+        const queued = this.queue.indexOf(entry);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+
+        this.visible = this.visible.filter(item => item !== entry);
+        entry.element.classList.remove('show');
+        this.delay(() => entry.element.remove(), 300);
+
+        const next = this.queue.shift();
+        if (next) {
+            this.show(next);
+        }
+    }
+
+    clear() {
+        [...this.queue, ...this.visible].forEach(entry => this.dismiss(entry));
+    }
+}
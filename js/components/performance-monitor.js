@@ -0,0 +1,201 @@
+// ===== PERFORMANCE MONITORING =====
+
+import { Component } from './component.js';
+import { escapeHTML, getElementSelector } from '../utils.js';
+
+export class PerformanceMonitor extends Component {
+    constructor(analytics = null) {
+        super();
+        this.analytics = analytics;
+        this.metrics = {};
+        this.observers = [];
+        this.clsSession = { value: 0, entries: [] };
+        this.interactions = new Map();
+        this.hasReported = false;
+        this.overlay = null;
+
+        // Good / poor boundaries from web.dev, used to rate values in the debug overlay
+        this.thresholds = {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!('PerformanceObserver' in window)) return;
+
+        if (new URLSearchParams(window.location.search).get('perf') === 'debug') {
+            this.createOverlay();
+        }
+
+        this.measurePerformance();
+
+        // Report final values once, when the page is hidden for the first time
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.reportMetrics();
+            }
+        });
+
+        this.onDestroy(() => {
+            this.observers.forEach(observer => observer.disconnect());
+            if (this.overlay) {
+                this.overlay.remove();
+                this.overlay = null;
+            }
+        });
+    }
+
+    measurePerformance() {
+        this.measureTTFB();
+
+        this.observe('paint', (entry) => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setMetric('FCP', entry.startTime);
+            }
+        });
+
+        this.observe('largest-contentful-paint', (entry) => {
+            this.setMetric('LCP', entry.startTime, {
+                element: getElementSelector(entry.element),
+                url: entry.url || '',
+                size: entry.size
+            });
+        });
+
+        this.observe('layout-shift', (entry) => this.handleLayoutShift(entry));
+
+        this.observe('event', (entry) => this.handleInteraction(entry), { durationThreshold: 40 });
+        this.observe('first-input', (entry) => this.handleInteraction(entry));
+    }
+
+    observe(type, callback, options = {}) {
+        try {
+            const observer = new PerformanceObserver((list) => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    }
+
+    measureTTFB() {
+        const navigation = performance.getEntriesByType('navigation')[0];
+        if (navigation) {
+            this.setMetric('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
+        }
+    }
+
+    handleLayoutShift(entry) {
+        if (entry.hadRecentInput) return;
+
+        // Session windows: shifts less than 1s apart, capped at 5s, per the CLS definition
+        const session = this.clsSession;
+        const first = session.entries[0];
+        const last = session.entries[session.entries.length - 1];
+
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            session.value += entry.value;
+            session.entries.push(entry);
+        } else {
+            this.clsSession = { value: entry.value, entries: [entry] };
+        }
+
+        const current = this.metrics.CLS;
+        if (!current || this.clsSession.value > current.value) {
+            const largest = this.clsSession.entries.reduce((a, b) => (b.value > a.value ? b : a));
+            this.setMetric('CLS', this.clsSession.value, {
+                sources: (largest.sources || []).map(source => getElementSelector(source.node)).filter(Boolean)
+            });
+        }
+    }
+
+    handleInteraction(entry) {
+        if (!entry.interactionId) return;
+
+        const existing = this.interactions.get(entry.interactionId);
+        if (!existing || entry.duration > existing.duration) {
+            this.interactions.set(entry.interactionId, entry);
+        }
+
+        // INP is the 98th percentile: ignore one outlier for every 50 interactions
+        const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+        const candidate = sorted[Math.min(Math.floor(sorted.length / 50), sorted.length - 1)];
+
+        this.setMetric('INP', candidate.duration, {
+            eventType: candidate.name,
+            target: getElementSelector(candidate.target)
+        });
+    }
+
+    setMetric(name, value, attribution = {}) {
+        this.metrics[name] = { value, attribution };
+        this.updateOverlay();
+    }
+
+    reportMetrics() {
+        if (this.hasReported) return;
+        this.hasReported = true;
+
+        Object.entries(this.metrics).forEach(([name, { value, attribution }]) => {
+            this.sendToAnalytics(name, value, attribution);
+        });
+
+        this.observers.forEach(observer => observer.disconnect());
+
+        // Analytics may already have flushed for this visibilitychange
+        if (this.analytics) {
+            this.analytics.flush();
+        }
+    }
+
+    sendToAnalytics(event, value, attribution = {}) {
+        if (this.analytics) {
+            this.analytics.track('performance_metric', {
+                metric: event,
+                // CLS is unitless and small; keep its precision
+                value: event === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+                ...attribution
+            });
+        }
+    }
+
+    getRating(name, value) {
+        const [good, poor] = this.thresholds[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'perf-overlay';
+        this.overlay.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.overlay);
+        this.updateOverlay();
+    }
+
+    updateOverlay() {
+        if (!this.overlay) return;
+
+        this.overlay.innerHTML = Object.keys(this.thresholds).map(name => {
+            const metric = this.metrics[name];
+            if (!metric) {
+                return `<div class="perf-metric"><strong>${name}</strong> <span>&ndash;</span></div>`;
+            }
+
+            const value = name === 'CLS' ? metric.value.toFixed(3) : `${Math.round(metric.value)}ms`;
+            const detail = metric.attribution.element || metric.attribution.target || (metric.attribution.sources || [])[0] || '';
+
+            return `
+                <div class="perf-metric ${this.getRating(name, metric.value)}">
+                    <strong>${name}</strong> <span>${value}</span>
+                    ${detail ? `<small>${escapeHTML(detail)}</small>` : ''}
+                </div>`;
+        }).join('');
+    }
+}
@@ -0,0 +1,244 @@
+// ===== PROJECT FILTER =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { debounce, escapeHTML } from '../utils.js';
+
+export class ProjectFilter extends Component {
+    constructor(i18n = null) {
+        super();
+        this.i18n = i18n;
+        this.grid = document.querySelector('.projects-grid');
+        this.cards = this.grid ? Array.from(this.grid.querySelectorAll('.project-card')) : [];
+        this.selectedTags = new Set();
+        this.query = '';
+        this.matchMode = 'any';
+        this.hideTimers = new Map();
+        this.init();
+    }
+
+    init() {
+        if (this.cards.length > 0) {
+            this.readStateFromURL();
+            this.createControls();
+            this.setupEventListeners();
+            this.applyFilters(false);
+
+            this.onDestroy(() => {
+                // Hand the grid back unfiltered so a fresh instance starts clean
+                this.controls.remove();
+                this.cards.forEach(card => {
+                    card.hidden = false;
+                    card.classList.remove('is-filtered-out');
+                });
+            });
+        }
+    }
+
+    getCardTags(card) {
+        return Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim());
+    }
+
+    collectTags() {
+        const tags = new Set();
+        this.cards.forEach(card => this.getCardTags(card).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    createControls() {
+        const chips = this.collectTags().map(tag => `
+            <button type="button" class="filter-chip" data-tag="${escapeHTML(tag)}" aria-pressed="${this.selectedTags.has(tag)}">
+                ${escapeHTML(tag)}
+            </button>`).join('');
+
+        const text = key => escapeHTML(translate(this.i18n, `projects.filter.${key}`));
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'project-filter';
+        this.controls.innerHTML = `
+            <div class="project-filter-bar">
+                <label class="project-filter-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" placeholder="${text('searchPlaceholder')}" aria-label="${text('searchLabel')}"
+                           data-i18n-attr="placeholder:projects.filter.searchPlaceholder;aria-label:projects.filter.searchLabel">
+                </label>
+                <div class="project-filter-mode" role="group" aria-label="${text('modeLabel')}" data-i18n-attr="aria-label:projects.filter.modeLabel">
+                    <button type="button" data-mode="any" data-i18n="projects.filter.any">${text('any')}</button>
+                    <button type="button" data-mode="all" data-i18n="projects.filter.all">${text('all')}</button>
+                </div>
+                <button type="button" class="project-filter-clear" data-i18n="projects.filter.clear">${text('clear')}</button>
+            </div>
+            <div class="project-filter-chips" role="group" aria-label="${text('tagsLabel')}" data-i18n-attr="aria-label:projects.filter.tagsLabel">${chips}</div>
+            <p class="project-filter-status" aria-live="polite"></p>
+        `;
+
+        this.grid.parentNode.insertBefore(this.controls, this.grid);
+
+        this.searchInput = this.controls.querySelector('input[type="search"]');
+        this.searchInput.value = this.query;
+        this.status = this.controls.querySelector('.project-filter-status');
+        this.updateModeButtons();
+    }
+
+    setupEventListeners() {
+        this.listen(this.controls.querySelector('.project-filter-chips'), 'click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                this.toggleTag(chip);
+            }
+        });
+
+        this.listen(this.controls.querySelector('.project-filter-mode'), 'click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (button) {
+                this.matchMode = button.dataset.mode;
+                this.updateModeButtons();
+                this.applyFilters();
+            }
+        });
+
+        this.listen(this.searchInput, 'input', debounce(() => {
+            if (this.isDestroyed) return;
+            this.query = this.searchInput.value.trim();
+            this.applyFilters();
+        }, 200));
+
+        this.listen(this.controls.querySelector('.project-filter-clear'), 'click', () => this.clearFilters());
+
+        // I18n re-translates the data-i18n controls; the status line is rebuilt here
+        this.listen(document, 'portfolio:localechange', () => this.applyFilters(false));
+    }
+
+    toggleTag(chip) {
+        const tag = chip.dataset.tag;
+
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.add(tag);
+        }
+
+        chip.setAttribute('aria-pressed', this.selectedTags.has(tag));
+        this.applyFilters();
+    }
+
+    updateModeButtons() {
+        this.controls.querySelectorAll('[data-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.mode === this.matchMode);
+        });
+    }
+
+    clearFilters() {
+        this.selectedTags.clear();
+        this.query = '';
+        this.searchInput.value = '';
+        this.controls.querySelectorAll('.filter-chip').forEach(chip => chip.setAttribute('aria-pressed', 'false'));
+        this.applyFilters();
+    }
+
+    matches(card) {
+        const tags = this.getCardTags(card);
+
+        if (this.selectedTags.size > 0) {
+            const selected = Array.from(this.selectedTags);
+            const tagMatch = this.matchMode === 'all'
+                ? selected.every(tag => tags.includes(tag))
+                : selected.some(tag => tags.includes(tag));
+
+            if (!tagMatch) return false;
+        }
+
+        if (this.query) {
+            const title = card.querySelector('.project-title');
+            const description = card.querySelector('.project-description');
+            const text = `${title ? title.textContent : ''} ${description ? description.textContent : ''}`.toLowerCase();
+
+            return this.query.toLowerCase().split(/\s+/).every(term => text.includes(term));
+        }
+
+        return true;
+    }
+
+    applyFilters(updateURL = true) {
+        let visibleCount = 0;
+
+        this.cards.forEach(card => {
+            if (this.matches(card)) {
+                visibleCount++;
+                this.showCard(card);
+            } else {
+                this.hideCard(card);
+            }
+        });
+
+        const isFiltered = this.selectedTags.size > 0 || this.query !== '';
+        this.status.textContent = isFiltered
+            ? (visibleCount === 0
+                ? translate(this.i18n, 'projects.filter.noMatches')
+                : translate(this.i18n, 'projects.filter.showing', { count: visibleCount, total: this.cards.length }))
+            : '';
+
+        if (updateURL) {
+            this.writeStateToURL();
+        }
+    }
+
+    showCard(card) {
+        this.clearDelay(this.hideTimers.get(card));
+
+        if (card.hidden) {
+            card.hidden = false;
+            // Force a reflow so the fade-in transition runs from the hidden state
+            void card.offsetWidth;
+        }
+
+        card.classList.remove('is-filtered-out');
+    }
+
+    hideCard(card) {
+        if (card.hidden || card.classList.contains('is-filtered-out')) return;
+
+        card.classList.add('is-filtered-out');
+        this.hideTimers.set(card, this.delay(() => {
+            card.hidden = true;
+        }, 300));
+    }
+
+    readStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const tags = params.get('tags');
+
+        if (tags) {
+            tags.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => this.selectedTags.add(tag));
+        }
+
+        this.query = (params.get('q') || '').trim();
+        this.matchMode = params.get('match') === 'all' ? 'all' : 'any';
+    }
+
+    writeStateToURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (this.selectedTags.size > 0) {
+            params.set('tags', Array.from(this.selectedTags).join(','));
+        } else {
+            params.delete('tags');
+        }
+
+        if (this.query) {
+            params.set('q', this.query);
+        } else {
+            params.delete('q');
+        }
+
+        if (this.matchMode === 'all') {
+            params.set('match', 'all');
+        } else {
+            params.delete('match');
+        }
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
+    }
+}
@@ -0,0 +1,248 @@
+// ===== PROJECT CASE STUDY MODAL =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { escapeHTML } from '../utils.js';
+
+export class ProjectModal extends Component {
+    constructor(projects = null, i18n = null) {
+        super();
+        this.projects = Array.isArray(projects) ? projects : [];
+        this.i18n = i18n;
+        this.cards = document.querySelectorAll('.project-card[id]');
+        this.hashPrefix = '#case-study-';
+        this.dialog = null;
+        this.activeId = null;
+        this.openedWithPush = false;
+        this.returnFocus = null;
+        this.init();
+    }
+
+    init() {
+        if (this.cards.length === 0 || typeof HTMLDialogElement === 'undefined') return;
+
+        this.createDialog();
+        this.addTriggers();
+        this.setupEventListeners();
+        this.syncWithHash();
+
+        this.onDestroy(() => {
+            if (this.dialog.open) {
+                this.dialog.close();
+                document.body.style.overflow = '';
+            }
+            this.dialog.remove();
+            document.querySelectorAll('.project-details-btn').forEach(button => button.remove());
+        });
+    }
+
+    createDialog() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'case-study';
+        this.dialog.setAttribute('aria-labelledby', 'case-study-title');
+        document.body.appendChild(this.dialog);
+    }
+
+    addTriggers() {
+        this.cards.forEach(card => {
+            const content = card.querySelector('.project-content');
+            if (!content) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'project-details-btn';
+            button.dataset.projectId = this.getProjectId(card);
+            // The label sits in its own span so I18n can re-translate it without dropping the icon
+            button.innerHTML = `<span data-i18n="projects.caseStudy.open">${escapeHTML(translate(this.i18n, 'projects.caseStudy.open'))}</span> <i class="fas fa-arrow-right" aria-hidden="true"></i>`;
+            content.appendChild(button);
+        });
+    }
+
+    setupEventListeners() {
+        // The whole card is clickable; links inside it keep their own behavior
+        this.listen(document.querySelector('.projects-grid'), 'click', (e) => {
+            const card = e.target.closest('.project-card[id]');
+            if (!card || e.target.closest('a, .filter-chip')) return;
+
+            this.open(this.getProjectId(card), { pushHistory: true });
+        });
+
+        this.listen(this.dialog, 'click', (e) => {
+            // Clicks on the backdrop land on the dialog element itself
+            if (e.target === this.dialog || e.target.closest('[data-close]')) {
+                this.close();
+            }
+        });
+
+        // Escape fires "cancel"; route it through close() so history stays in sync
+        this.listen(this.dialog, 'cancel', (e) => {
+            e.preventDefault();
+            this.close();
+        });
+
+        this.listen(window, 'popstate', () => this.syncWithHash());
+    }
+
+    getProjectId(card) {
+        return card.id.replace(/^project-/, '');
+    }
+
+    syncWithHash() {
+        const hash = window.location.hash;
+
+        if (hash.startsWith(this.hashPrefix)) {
+            this.open(decodeURIComponent(hash.slice(this.hashPrefix.length)), { pushHistory: false });
+        } else if (this.dialog.open) {
+            this.hide();
+        }
+    }
+
+    getProject(id) {
+        const card = document.getElementById(`project-${id}`);
+        const project = this.projects.find(item => item.id === id);
+
+        if (project) {
+            // GitHubActivity may have pointed the card at its repository since content.json loaded
+            const source = card ? this.getCardLink(card, 'source') : '';
+            return source ? { ...project, links: { ...project.links, source } } : project;
+        }
+
+        // Without content.json, build what we can from the static card markup
+        if (!card) return null;
+
+        const text = (selector) => {
+            const element = card.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+        const link = (kind) => this.getCardLink(card, kind);
+        const icon = card.querySelector('.project-img-placeholder i');
+
+        return {
+            id,
+            title: text('.project-title'),
+            icon: icon ? icon.className : 'fas fa-code',
+            description: text('.project-description'),
+            tech: Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim()),
+            links: { source: link('source'), demo: link('demo') }
+        };
+    }
+
+    getCardLink(card, kind) {
+        const anchor = card.querySelector(`.project-links a[data-link="${kind}"]`);
+        return anchor ? anchor.getAttribute('href') : '';
+    }
+
+    open(id, { pushHistory }) {
+        const project = this.getProject(id);
+        if (!project) return;
+
+        if (!this.dialog.open) {
+            this.returnFocus = document.activeElement;
+        }
+
+        this.activeId = id;
+        this.dialog.innerHTML = this.render(project);
+
+        if (pushHistory) {
+            // Mark the entry underneath so Navigation doesn't scroll when closing pops back to it
+            history.replaceState({ ...history.state, caseStudyOrigin: id }, '');
+            history.pushState({ caseStudy: id }, '', `${window.location.pathname}${window.location.search}${this.hashPrefix}${id}`);
+            this.openedWithPush = true;
+        }
+
+        if (!this.dialog.open) {
+            this.dialog.showModal();
+            document.body.style.overflow = 'hidden';
+        }
+
+        this.dialog.querySelector('.case-study-close').focus();
+    }
+
+    close() {
+        if (this.openedWithPush) {
+            // Pop our own history entry; popstate then hides the dialog
+            this.openedWithPush = false;
+            history.back();
+            return;
+        }
+
+        // Opened from a shared link: leave the URL pointing at the card instead
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#project-${this.activeId}`);
+        this.hide();
+    }
+
+    hide() {
+        this.dialog.close();
+        document.body.style.overflow = '';
+        this.openedWithPush = false;
+
+        const fallback = document.querySelector(`.project-details-btn[data-project-id="${this.activeId}"]`);
+        const target = this.returnFocus && document.contains(this.returnFocus) ? this.returnFocus : fallback;
+        if (target) {
+            target.focus({ preventScroll: true });
+        }
+
+        this.activeId = null;
+        this.returnFocus = null;
+    }
+
+    render(project) {
+        const caseStudy = project.caseStudy || {};
+        const links = project.links || {};
+        const metrics = caseStudy.metrics || [];
+        const screenshots = caseStudy.screenshots || [];
+        // The modal dialog covers the language switcher, so text rendered here can't go stale
+        const text = key => escapeHTML(translate(this.i18n, `projects.caseStudy.${key}`));
+
+        const section = (title, body) => `
+            <section class="case-study-section">
+                <h3>${title}</h3>
+                ${body}
+            </section>`;
+
+        return `
+            <div class="case-study-inner">
+                <header class="case-study-header">
+                    <span class="case-study-icon"><i class="${escapeHTML(project.icon)}" aria-hidden="true"></i></span>
+                    <h2 id="case-study-title">${escapeHTML(project.title)}</h2>
+                    <button type="button" class="case-study-close" data-close aria-label="${text('close')}">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </header>
+
+                ${section(text('problem'), `<p>${escapeHTML(caseStudy.problem || project.description)}</p>`)}
+
+                ${section(text('architecture'), `
+                    ${caseStudy.architecture ? `<p>${escapeHTML(caseStudy.architecture)}</p>` : ''}
+                    <div class="project-tech">
+                        ${project.tech.map(tag => `<span class="tech-tag">${escapeHTML(tag)}</span>`).join('')}
+                    </div>`)}
+
+                ${metrics.length ? section(text('results'), `
+                    <dl class="case-study-metrics">
+                        ${metrics.map(metric => `
+                            <div class="case-study-metric">
+                                <dt>${escapeHTML(metric.label)}</dt>
+                                <dd>${escapeHTML(metric.value)}</dd>
+                            </div>`).join('')}
+                    </dl>`) : ''}
+
+                ${screenshots.length ? section(text('screenshots'), `
+                    <div class="case-study-gallery">
+                        ${screenshots.map(shot => `
+                            <figure>
+                                <a href="${escapeHTML(shot.src)}" target="_blank" rel="noopener noreferrer">
+                                    <img src="${escapeHTML(shot.src)}" alt="${escapeHTML(shot.alt || '')}" loading="lazy">
+                                </a>
+                                ${shot.caption ? `<figcaption>${escapeHTML(shot.caption)}</figcaption>` : ''}
+                            </figure>`).join('')}
+                    </div>`) : ''}
+
+                ${links.source || links.demo ? `
+                    <footer class="case-study-links">
+                        ${links.source ? `<a class="btn btn-secondary" href="${escapeHTML(links.source)}" target="_blank" rel="noopener noreferrer"><i class="fab fa-github" aria-hidden="true"></i>&nbsp; ${text('source')}</a>` : ''}
+                        ${links.demo ? `<a class="btn btn-primary" href="${escapeHTML(links.demo)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt" aria-hidden="true"></i>&nbsp; ${text('demo')}</a>` : ''}
+                    </footer>` : ''}
+            </div>`;
+    }
+}
@@ -0,0 +1,144 @@
+// ===== RESUME DOWNLOAD =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { extractResume, renderResumeDocument } from '../lib/resume.js';
+import { getLocale, showNotification } from '../utils.js';
+
+export class ResumeExport extends Component {
+    constructor(i18n = null) {
+        super();
+        this.i18n = i18n;
+        this.container = document.querySelector('.resume-export');
+        this.toggle = null;
+        this.menu = null;
+        this.frame = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.toggle = this.container.querySelector('.resume-toggle');
+        this.menu = this.container.querySelector('.resume-menu');
+        if (!this.toggle || !this.menu) return;
+
+        this.setupEventListeners();
+
+        this.onDestroy(() => {
+            this.setOpen(false);
+            this.removeFrame();
+        });
+    }
+
+    setupEventListeners() {
+        this.listen(this.toggle, 'click', () => this.setOpen(this.menu.hidden));
+
+        this.listen(this.menu, 'click', (e) => {
+            const option = e.target.closest('[data-resume-format]');
+            if (!option) return;
+
+            this.setOpen(false);
+            this.download(option.dataset.resumeFormat);
+        });
+
+        this.listen(this.container, 'keydown', (e) => {
+            if (e.key === 'Escape' && !this.menu.hidden) {
+                this.setOpen(false);
+                this.toggle.focus();
+            }
+        });
+
+        this.listen(document, 'click', (e) => {
+            if (!this.container.contains(e.target)) {
+                this.setOpen(false);
+            }
+        });
+    }
+
+    setOpen(isOpen) {
+        this.menu.hidden = !isOpen;
+        this.toggle.setAttribute('aria-expanded', String(isOpen));
+
+        if (isOpen) {
+            this.menu.querySelector('[data-resume-format]').focus();
+        }
+    }
+
+    /**
+     * Export the résumé as built from the current page
+     * @param {string} format - "pdf" opens the print dialog, "json" saves a JSON Resume file
+     */
+    download(format) {
+        const resume = extractResume();
+
+        if (format === 'json') {
+            this.saveJSON(resume);
+        } else {
+            this.print(resume);
+        }
+
+        document.dispatchEvent(new CustomEvent('portfolio:resumedownload', {
+            detail: { format }
+        }));
+    }
+
+    saveJSON(resume) {
+        const blob = new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.getFileName(resume)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        this.delay(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    print(resume) {
+        this.removeFrame();
+
+        // A hidden iframe prints only the résumé layout, without the site's styles
+        this.frame = document.createElement('iframe');
+        this.frame.className = 'resume-frame';
+        this.frame.title = translate(this.i18n, 'resume.download');
+        this.frame.setAttribute('aria-hidden', 'true');
+        this.frame.tabIndex = -1;
+        this.frame.srcdoc = renderResumeDocument(resume, {
+            stylesheet: new URL('css/resume.css', document.baseURI).href,
+            lang: getLocale(),
+            labels: {
+                summary: translate(this.i18n, 'resume.summary'),
+                experience: translate(this.i18n, 'resume.experience'),
+                skills: translate(this.i18n, 'resume.skills'),
+                projects: translate(this.i18n, 'resume.projects'),
+                present: translate(this.i18n, 'resume.present')
+            }
+        });
+
+        const frame = this.frame;
+        this.listen(frame, 'load', () => {
+            // The print dialog names the PDF after the document title
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        }, { once: true });
+
+        document.body.appendChild(frame);
+        showNotification(translate(this.i18n, 'resume.printHint'), 'info', 6000);
+    }
+
+    removeFrame() {
+        if (this.frame) {
+            this.frame.remove();
+            this.frame = null;
+        }
+    }
+
+    getFileName(resume) {
+        const name = resume.basics.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return name ? `${name}-resume` : 'resume';
+    }
+}
@@ -0,0 +1,91 @@
+// ===== SCROLL ANIMATIONS =====
+
+import { Component } from './component.js';
+
+export class ScrollAnimations extends Component {
+    constructor(motion = null) {
+        super();
+        this.motion = motion;
+        this.observer = null;
+        this.init();
+    }
+
+    init() {
+        // Tag elements first so the observer picks them up
+        this.addAnimationClasses();
+        this.animatedElements = document.querySelectorAll('.animate-on-scroll');
+
+        if (this.motion && this.motion.isReduced()) {
+            this.revealAll();
+        } else {
+            this.setupIntersectionObserver();
+        }
+
+        if (this.motion) {
+            this.onDestroy(this.motion.subscribe(reduced => {
+                if (reduced) {
+                    this.revealAll();
+                }
+            }));
+        }
+
+        this.onDestroy(() => {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+        });
+    }
+
+    revealAll() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+
+        this.animatedElements.forEach(el => {
+            el.classList.add(el.getAttribute('data-animation'));
+        });
+    }
+
+    addAnimationClasses() {
+        // Add animation classes to elements that should animate on scroll
+        const elementsToAnimate = [
+            { selector: '.hero-text', animation: 'animate-fade-in-left' },
+            { selector: '.hero-image', animation: 'animate-fade-in-right' },
+            { selector: '.about-content', animation: 'animate-fade-in-up' },
+            { selector: '.skill-category', animation: 'animate-fade-in-up' },
+            { selector: '.project-card', animation: 'animate-fade-in-up' },
+            { selector: '.timeline-item', animation: 'animate-fade-in-left' },
+            { selector: '.contact-container', animation: 'animate-fade-in-up' }
+        ];
+
+        elementsToAnimate.forEach(({ selector, animation }) => {
+            const elements = document.querySelectorAll(selector);
+            elements.forEach(el => {
+                el.classList.add('animate-on-scroll');
+                el.setAttribute('data-animation', animation);
+            });
+        });
+    }
+
+    setupIntersectionObserver() {
+        const observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const animation = entry.target.getAttribute('data-animation');
+                    entry.target.classList.add(animation);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, observerOptions);
+        this.observer = observer;
+
+        this.animatedElements.forEach(el => {
+            observer.observe(el);
+        });
+    }
+}
@@ -0,0 +1,67 @@
+// ===== SCROLL PROGRESS INDICATOR =====
+
+import { Component } from './component.js';
+import { ScrollScheduler } from './scroll-scheduler.js';
+import { debounce } from '../utils.js';
+
+export class ScrollProgress extends Component {
+    constructor(motion = null, scroller = null) {
+        super();
+        this.motion = motion;
+        this.scroller = scroller;
+        // Without a shared scheduler, run a private one that goes away with this component
+        if (!this.scroller) {
+            this.scroller = new ScrollScheduler();
+            this.onDestroy(() => this.scroller.destroy());
+        }
+        this.maxScroll = 0;
+        this.createProgressBar();
+        this.init();
+    }
+
+    createProgressBar() {
+        const progressBar = document.createElement('div');
+        progressBar.className = 'scroll-progress';
+        progressBar.innerHTML = '<div class="scroll-progress-bar"></div>';
+        document.body.appendChild(progressBar);
+        
+        this.progressBar = progressBar.querySelector('.scroll-progress-bar');
+    }
+
+    init() {
+        this.measure();
+        this.updateProgress(window.scrollY);
+        this.onDestroy(this.scroller.subscribe(scrollY => this.updateProgress(scrollY)));
+
+        // Page height changes with filtering, expanding content and resizes, not with scrolling
+        this.listen(window, 'resize', debounce(() => this.measure(), 150));
+        if ('ResizeObserver' in window) {
+            const observer = new ResizeObserver(() => this.measure());
+            observer.observe(document.body);
+            this.onDestroy(() => observer.disconnect());
+        }
+
+        if (this.motion) {
+            this.setReducedMotion(this.motion.isReduced());
+            this.onDestroy(this.motion.subscribe(reduced => this.setReducedMotion(reduced)));
+        }
+
+        this.onDestroy(() => this.progressBar.parentNode.remove());
+    }
+
+    setReducedMotion(reduced) {
+        // Jump straight to the new position instead of easing
+        this.progressBar.style.transition = reduced ? 'none' : '';
+    }
+
+    measure() {
+        this.maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    }
+
+    updateProgress(scrollY) {
+        // Pages no taller than the viewport cannot scroll; avoid dividing by zero
+        const progress = this.maxScroll > 0 ? Math.min(Math.max(scrollY / this.maxScroll, 0), 1) : 0;
+
+        this.progressBar.style.transform = `scaleX(${progress})`;
+    }
+}
@@ -0,0 +1,39 @@
+// ===== SCROLL SCHEDULER =====
+
+import { Component } from './component.js';
+
+export class ScrollScheduler extends Component {
+    constructor() {
+        super();
+        this.callbacks = new Set();
+        this.frame = null;
+        this.init();
+    }
+
+    init() {
+        // One passive listener for the whole page; work is batched into the next frame
+        this.listen(window, 'scroll', () => this.schedule(), { passive: true });
+
+        this.onDestroy(() => {
+            if (this.frame !== null) {
+                cancelAnimationFrame(this.frame);
+            }
+            this.callbacks.clear();
+        });
+    }
+
+    subscribe(callback) {
+        this.callbacks.add(callback);
+        return () => this.callbacks.delete(callback);
+    }
+
+    schedule() {
+        if (this.frame !== null) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const scrollY = window.scrollY;
+            this.callbacks.forEach(callback => callback(scrollY));
+        });
+    }
+}
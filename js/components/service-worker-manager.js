@@ -0,0 +1,73 @@
+// ===== SERVICE WORKER =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { showNotification } from '../utils.js';
+
+export class ServiceWorkerManager extends Component {
+    constructor(scriptUrl = './sw.js', i18n = null) {
+        super();
+        this.scriptUrl = scriptUrl;
+        this.i18n = i18n;
+        this.isReloading = false;
+        // Set once the visitor presses "Reload"; the first install's clients.claim() must not reload
+        this.updateAccepted = false;
+        this.init();
+    }
+
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Register after load so the worker doesn't compete with the first paint
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            this.listen(window, 'load', () => this.register());
+        }
+
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            if (!this.updateAccepted || this.isReloading) return;
+            this.isReloading = true;
+            window.location.reload();
+        });
+    }
+
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register(this.scriptUrl);
+
+            // An update may already be waiting from a previous visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptForUpdate(registration.waiting);
+            }
+
+            this.listen(registration, 'updatefound', () => this.trackInstalling(registration.installing));
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    trackInstalling(worker) {
+        if (!worker) return;
+
+        this.listen(worker, 'statechange', () => {
+            // Without an existing controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.promptForUpdate(worker);
+            }
+        });
+    }
+
+    promptForUpdate(worker) {
+        // Sticky until the visitor acts; controllerchange reloads once the new worker takes over
+        showNotification(translate(this.i18n, 'update.available'), 'info', 0, {
+            action: {
+                label: translate(this.i18n, 'update.reload'),
+                onClick: () => {
+                    this.updateAccepted = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }
+        });
+    }
+}
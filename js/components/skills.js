@@ -0,0 +1,312 @@
+// ===== SKILLS VIEWS =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { escapeHTML, getLocale } from '../utils.js';
+
+// Highest first; unknown levels sort last
+const LEVELS = ['expert', 'advanced', 'intermediate', 'beginner'];
+
+export class Skills extends Component {
+    constructor(i18n = null) {
+        super();
+        this.container = document.querySelector('.skills-container');
+        this.i18n = i18n;
+        this.view = 'grid';
+        this.activeSkill = null;
+        this.skills = [];
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.skills = this.readSkills();
+        if (this.skills.length === 0) return;
+
+        this.createControls();
+        this.enhanceGrid();
+        this.setupEventListeners();
+        this.render();
+
+        this.onDestroy(() => {
+            this.setActiveSkill(null);
+            this.toolbar.remove();
+            this.altView.remove();
+            this.container.hidden = false;
+            this.skills.forEach(({ element }) => {
+                element.removeAttribute('role');
+                element.removeAttribute('tabindex');
+                element.removeAttribute('aria-pressed');
+                const level = element.querySelector('.skill-level');
+                if (level) level.remove();
+            });
+        });
+    }
+
+    readSkills() {
+        return Array.from(this.container.querySelectorAll('.skill-item')).map(element => {
+            const label = element.querySelector('span');
+            const icon = element.querySelector('i');
+            const category = element.closest('.skill-category');
+            const title = category ? category.querySelector('.category-title') : null;
+
+            return {
+                element,
+                name: label ? label.textContent.trim() : element.textContent.trim(),
+                icon: icon ? icon.className : '',
+                category: title ? title.textContent.trim() : '',
+                level: element.dataset.level || '',
+                years: Number(element.dataset.years) || 0
+            };
+        });
+    }
+
+    createControls() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'skills-toolbar';
+        this.toolbar.innerHTML = `
+            <div class="skills-views" role="group" aria-label="Skills view" data-i18n-attr="aria-label:skills.viewLabel">
+                <button type="button" data-view="grid">
+                    <i class="fas fa-th-large" aria-hidden="true"></i>
+                    <span data-i18n="skills.views.grid">By category</span>
+                </button>
+                <button type="button" data-view="list">
+                    <i class="fas fa-list-ol" aria-hidden="true"></i>
+                    <span data-i18n="skills.views.list">By proficiency</span>
+                </button>
+                <button type="button" data-view="cloud">
+                    <i class="fas fa-cloud" aria-hidden="true"></i>
+                    <span data-i18n="skills.views.cloud">Tag cloud</span>
+                </button>
+            </div>
+            <p class="skills-status" aria-live="polite"></p>
+        `;
+
+        this.altView = document.createElement('div');
+        this.altView.className = 'skills-alt-view';
+        this.altView.hidden = true;
+
+        if (this.i18n) {
+            this.i18n.translate(this.toolbar);
+        }
+
+        this.container.before(this.toolbar);
+        this.container.after(this.altView);
+        this.status = this.toolbar.querySelector('.skills-status');
+    }
+
+    enhanceGrid() {
+        // Grid tiles stay divs for the static markup; give them button semantics
+        this.skills.forEach(({ element }) => {
+            element.setAttribute('role', 'button');
+            element.tabIndex = 0;
+            element.setAttribute('aria-pressed', 'false');
+
+            const level = document.createElement('small');
+            level.className = 'skill-level';
+            element.appendChild(level);
+        });
+    }
+
+    setupEventListeners() {
+        this.listen(this.toolbar.querySelector('.skills-views'), 'click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) {
+                this.setView(button.dataset.view);
+            }
+        });
+
+        const select = (e) => {
+            const trigger = e.target.closest('[data-skill], .skill-item');
+            if (!trigger) return;
+
+            const name = trigger.dataset.skill || this.skills.find(skill => skill.element === trigger).name;
+            this.setActiveSkill(this.activeSkill === name ? null : name);
+        };
+
+        this.listen(this.container, 'click', select);
+        this.listen(this.altView, 'click', select);
+
+        this.listen(this.container, 'keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('skill-item')) {
+                e.preventDefault();
+                select(e);
+            }
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.activeSkill) {
+                this.setActiveSkill(null);
+            }
+        });
+
+        this.listen(document, 'portfolio:localechange', () => this.render());
+    }
+
+    /**
+     * Switch between the category grid, the proficiency list and the tag cloud
+     * @param {string} view - grid, list or cloud
+     */
+    setView(view) {
+        this.view = ['grid', 'list', 'cloud'].includes(view) ? view : 'grid';
+        this.render();
+    }
+
+    render() {
+        this.toolbar.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.view === this.view);
+        });
+
+        this.skills.forEach(skill => {
+            skill.element.querySelector('.skill-level').textContent = this.describeLevel(skill);
+        });
+
+        this.container.hidden = this.view !== 'grid';
+        this.altView.hidden = this.view === 'grid';
+
+        if (this.view === 'list') {
+            this.altView.innerHTML = this.renderList();
+        } else if (this.view === 'cloud') {
+            this.altView.innerHTML = this.renderCloud();
+        } else {
+            this.altView.innerHTML = '';
+        }
+
+        this.updateSelection();
+    }
+
+    getSortedSkills() {
+        const rank = level => (LEVELS.includes(level) ? LEVELS.indexOf(level) : LEVELS.length);
+
+        return [...this.skills].sort((a, b) =>
+            rank(a.level) - rank(b.level) || b.years - a.years || a.name.localeCompare(b.name));
+    }
+
+    renderList() {
+        const items = this.getSortedSkills().map(skill => {
+            const strength = LEVELS.includes(skill.level) ? LEVELS.length - LEVELS.indexOf(skill.level) : 0;
+
+            return `
+                <li>
+                    <button type="button" class="skills-list-item" data-skill="${escapeHTML(skill.name)}" aria-pressed="false">
+                        <i class="${escapeHTML(skill.icon)}" aria-hidden="true"></i>
+                        <span class="skills-list-name">${escapeHTML(skill.name)}</span>
+                        <span class="skills-list-category">${escapeHTML(skill.category)}</span>
+                        ${skill.level ? `
+                        <span class="skill-meter" aria-hidden="true">
+                            <span style="width: ${(strength / LEVELS.length) * 100}%"></span>
+                        </span>` : ''}
+                        <span class="skill-level">${escapeHTML(this.describeLevel(skill))}</span>
+                    </button>
+                </li>`;
+        }).join('');
+
+        return `<ol class="skills-list">${items}</ol>`;
+    }
+
+    renderCloud() {
+        const maxYears = Math.max(...this.skills.map(skill => skill.years), 1);
+
+        // Alphabetical so size, not position, carries the weight
+        const items = [...this.skills].sort((a, b) => a.name.localeCompare(b.name)).map(skill => {
+            const weight = Math.max(1, Math.round((skill.years / maxYears) * 5));
+
+            return `
+                <li>
+                    <button type="button" class="skills-cloud-item weight-${weight}" data-skill="${escapeHTML(skill.name)}"
+                            aria-pressed="false" title="${escapeHTML(this.describeLevel(skill))}">
+                        ${escapeHTML(skill.name)}
+                    </button>
+                </li>`;
+        }).join('');
+
+        return `<ul class="skills-cloud">${items}</ul>`;
+    }
+
+    describeLevel(skill) {
+        const parts = [];
+
+        if (skill.level) {
+            parts.push(translate(this.i18n, `skills.levels.${skill.level}`));
+        }
+        if (skill.years) {
+            parts.push(new Intl.NumberFormat(getLocale(), {
+                style: 'unit',
+                unit: 'year',
+                unitDisplay: 'short'
+            }).format(skill.years));
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Highlight the projects and positions that mention a skill
+     * @param {string|null} name - Skill name, or null to clear
+     */
+    setActiveSkill(name) {
+        this.activeSkill = name;
+        this.updateSelection();
+
+        if (name) {
+            document.dispatchEvent(new CustomEvent('portfolio:skillselect', {
+                detail: { skill: name }
+            }));
+        }
+    }
+
+    updateSelection() {
+        const name = this.activeSkill;
+        const pattern = name ? this.getPattern(name) : null;
+
+        document.querySelectorAll('.skill-item, [data-skill]').forEach(trigger => {
+            const skill = trigger.dataset.skill || (this.skills.find(item => item.element === trigger) || {}).name;
+            trigger.setAttribute('aria-pressed', String(Boolean(name) && skill === name));
+        });
+
+        const cards = this.highlight('.projects-grid', '.project-card', pattern, card =>
+            Array.from(card.querySelectorAll('.tech-tag')).some(tag => {
+                const isMatch = Boolean(pattern) && pattern.test(tag.textContent);
+                tag.classList.toggle('is-skill-match', isMatch);
+                return isMatch;
+            }));
+
+        const positions = this.highlight('.timeline', '.timeline-item', pattern, item =>
+            pattern.test(item.textContent));
+
+        this.status.textContent = name
+            ? translate(this.i18n, 'skills.matches', {
+                skill: name,
+                projects: translate(this.i18n, 'skills.projectCount', { count: cards }),
+                positions: translate(this.i18n, 'skills.positionCount', { count: positions })
+            })
+            : '';
+    }
+
+    highlight(containerSelector, itemSelector, pattern, matches) {
+        const container = document.querySelector(containerSelector);
+        if (!container) return 0;
+
+        let count = 0;
+        container.classList.toggle('has-skill-highlight', Boolean(pattern));
+        container.querySelectorAll(itemSelector).forEach(item => {
+            const isMatch = Boolean(pattern) && matches(item);
+            item.classList.toggle('is-skill-match', isMatch);
+            if (isMatch) count++;
+        });
+
+        if (!pattern) {
+            container.querySelectorAll('.is-skill-match').forEach(element => element.classList.remove('is-skill-match'));
+        }
+
+        return count;
+    }
+
+    getPattern(name) {
+        // "AWS (EC2, S3, RDS)" should match "AWS S3"; word edges stop "Java" matching "JavaScript"
+        const term = name.replace(/\s*\(.*\)\s*/g, '').trim();
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i');
+    }
+}
@@ -0,0 +1,82 @@
+// ===== THEME TOGGLE =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+
+export class ThemeToggle extends Component {
+    constructor(i18n = null) {
+        super();
+        this.i18n = i18n;
+        this.themeToggle = document.getElementById('theme-toggle');
+        this.preferences = ['light', 'dark', 'system'];
+        this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.currentPreference = this.getStoredPreference();
+        this.init();
+    }
+
+    init() {
+        this.applyPreference();
+
+        if (this.themeToggle) {
+            this.listen(this.themeToggle, 'click', () => this.toggleTheme());
+            this.listen(document, 'portfolio:localechange', () => this.applyPreference());
+        }
+
+        // Follow OS-level changes live while the visitor is on "system"
+        this.listen(this.mediaQuery, 'change', () => {
+            if (this.currentPreference === 'system') {
+                this.applyPreference();
+            }
+        });
+    }
+
+    getStoredPreference() {
+        try {
+            const stored = localStorage.getItem('theme');
+            return this.preferences.includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    toggleTheme() {
+        const nextIndex = (this.preferences.indexOf(this.currentPreference) + 1) % this.preferences.length;
+        this.currentPreference = this.preferences[nextIndex];
+        this.applyPreference();
+
+        try {
+            localStorage.setItem('theme', this.currentPreference);
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this page view only
+        }
+    }
+
+    resolveTheme(preference) {
+        if (preference === 'system') {
+            return this.mediaQuery.matches ? 'dark' : 'light';
+        }
+        return preference;
+    }
+
+    applyPreference() {
+        this.setTheme(this.resolveTheme(this.currentPreference));
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+
+        if (this.themeToggle) {
+            const icons = { light: 'fas fa-sun', dark: 'fas fa-moon', system: 'fas fa-circle-half-stroke' };
+            const icon = this.themeToggle.querySelector('i');
+            if (icon) {
+                icon.className = icons[this.currentPreference];
+            }
+
+            const label = translate(this.i18n, 'theme.label', {
+                theme: translate(this.i18n, `theme.${this.currentPreference}`)
+            });
+            this.themeToggle.setAttribute('aria-label', label);
+            this.themeToggle.setAttribute('title', label);
+        }
+    }
+}
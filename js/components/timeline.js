@@ -0,0 +1,312 @@
+// ===== EXPERIENCE TIMELINE =====
+
+import { Component } from './component.js';
+import { translate } from './i18n.js';
+import { debounce, escapeHTML, formatDate, getLocale, parsePeriod } from '../utils.js';
+
+export class Timeline extends Component {
+    constructor(i18n = null) {
+        super();
+        this.timeline = document.querySelector('.timeline');
+        this.items = this.timeline ? Array.from(this.timeline.querySelectorAll('.timeline-item')) : [];
+        this.i18n = i18n;
+        this.company = '';
+        this.keyword = '';
+        this.expanded = new Set();
+        this.periods = new Map();
+        this.init();
+    }
+
+    init() {
+        if (this.items.length === 0) return;
+
+        // Achievements beyond this many stay behind "Show more"
+        this.visibleAchievements = Number(this.timeline.dataset.visibleAchievements || 2);
+
+        this.items.forEach(item => this.readPeriod(item));
+        this.createControls();
+        this.setupEventListeners();
+        this.render();
+
+        this.onDestroy(() => {
+            this.controls.remove();
+            this.periods.forEach(({ element, text }) => {
+                element.textContent = text;
+                delete element.dataset.period;
+            });
+            this.items.forEach(item => {
+                item.hidden = false;
+                item.querySelectorAll('.timeline-achievements li').forEach(li => {
+                    li.hidden = false;
+                    li.classList.remove('is-match');
+                });
+                const toggle = item.querySelector('.timeline-toggle');
+                if (toggle) toggle.remove();
+            });
+        });
+    }
+
+    readPeriod(item) {
+        const element = item.querySelector('.timeline-period');
+        if (!element) return;
+
+        // Keep the source text: the résumé export and a later destroy() both need it
+        const text = element.dataset.period || element.textContent.trim();
+        element.dataset.period = text;
+        this.periods.set(item, { element, text, range: parsePeriod(text) });
+    }
+
+    getCompany(item) {
+        const company = item.querySelector('.timeline-company');
+        return company ? company.textContent.trim() : '';
+    }
+
+    createControls() {
+        const companies = Array.from(new Set(this.items.map(item => this.getCompany(item)).filter(Boolean)));
+        const chips = companies.map(company => `
+            <button type="button" class="filter-chip" data-company="${escapeHTML(company)}" aria-pressed="false">
+                ${escapeHTML(company)}
+            </button>`).join('');
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'timeline-filter';
+        this.controls.innerHTML = `
+            <p class="timeline-total"></p>
+            <div class="project-filter-bar">
+                <label class="project-filter-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" placeholder="Filter by skill, e.g. Django" aria-label="Filter experience by skill"
+                           data-i18n-attr="placeholder:timeline.searchPlaceholder;aria-label:timeline.searchLabel">
+                </label>
+                <button type="button" class="project-filter-clear" data-i18n="timeline.clear">Clear</button>
+            </div>
+            <div class="project-filter-chips" role="group" aria-label="Filter by company" data-i18n-attr="aria-label:timeline.companyLabel">${chips}</div>
+            <p class="project-filter-status" aria-live="polite"></p>
+        `;
+
+        if (this.i18n) {
+            this.i18n.translate(this.controls);
+        }
+
+        this.timeline.parentNode.insertBefore(this.controls, this.timeline);
+        this.searchInput = this.controls.querySelector('input[type="search"]');
+        this.status = this.controls.querySelector('.project-filter-status');
+    }
+
+    setupEventListeners() {
+        this.listen(this.controls.querySelector('.project-filter-chips'), 'click', (e) => {
+            const chip = e.target.closest('[data-company]');
+            if (chip) {
+                this.setCompany(this.company === chip.dataset.company ? '' : chip.dataset.company);
+            }
+        });
+
+        this.listen(this.searchInput, 'input', debounce(() => {
+            if (this.isDestroyed) return;
+            this.keyword = this.searchInput.value.trim();
+            this.applyFilters();
+        }, 200));
+
+        this.listen(this.controls.querySelector('.project-filter-clear'), 'click', () => {
+            this.setCompany('');
+            this.setKeyword('');
+        });
+
+        this.listen(this.timeline, 'click', (e) => {
+            const toggle = e.target.closest('.timeline-toggle');
+            if (toggle) {
+                this.toggleAchievements(toggle.closest('.timeline-item'));
+            }
+        });
+
+        // Dates, durations and button labels follow the selected language
+        this.listen(document, 'portfolio:localechange', () => this.render());
+    }
+
+    /**
+     * Show only positions at one company
+     * @param {string} company - Exact .timeline-company text, or '' for all
+     */
+    setCompany(company) {
+        this.company = company;
+        this.controls.querySelectorAll('[data-company]').forEach(chip => {
+            chip.setAttribute('aria-pressed', chip.dataset.company === company);
+        });
+        this.applyFilters();
+    }
+
+    /**
+     * Show only positions whose title, description or achievements mention a keyword
+     * @param {string} keyword - Skill or phrase, or '' for all
+     */
+    setKeyword(keyword) {
+        this.keyword = keyword.trim();
+        this.searchInput.value = this.keyword;
+        this.applyFilters();
+    }
+
+    render() {
+        this.items.forEach(item => {
+            this.renderPeriod(item);
+            this.renderAchievements(item);
+        });
+        this.renderTotal();
+        this.applyFilters();
+    }
+
+    renderPeriod(item) {
+        const period = this.periods.get(item);
+        if (!period || !period.range) return;
+
+        const { start, end } = period.range;
+        const format = date => formatDate(date, { year: 'numeric', month: 'short' });
+        const endMarkup = end
+            ? `<time datetime="${this.toISOMonth(end)}">${escapeHTML(format(end))}</time>`
+            : escapeHTML(translate(this.i18n, 'timeline.present'));
+
+        period.element.innerHTML = `
+            <time datetime="${this.toISOMonth(start)}">${escapeHTML(format(start))}</time> – ${endMarkup}
+            <span class="timeline-duration">${escapeHTML(this.formatDuration(this.monthsBetween(start, end)))}</span>`;
+    }
+
+    renderTotal() {
+        const total = this.controls.querySelector('.timeline-total');
+        const months = this.getTotalMonths();
+
+        const years = new Intl.NumberFormat(getLocale(), {
+            style: 'unit',
+            unit: 'year',
+            unitDisplay: 'long',
+            maximumFractionDigits: 1
+        }).format(months / 12);
+
+        total.textContent = months > 0 ? translate(this.i18n, 'timeline.total', { years }) : '';
+        total.hidden = months === 0;
+    }
+
+    getTotalMonths() {
+        // Merge overlapping ranges so concurrent roles aren't counted twice
+        const ranges = Array.from(this.periods.values())
+            .filter(period => period.range)
+            .map(({ range }) => [range.start, range.end || this.currentMonth()])
+            .sort((a, b) => a[0] - b[0]);
+
+        let months = 0;
+        let current = null;
+
+        ranges.forEach(([start, end]) => {
+            if (current && start <= current[1]) {
+                current[1] = end > current[1] ? end : current[1];
+                return;
+            }
+            if (current) months += this.monthsBetween(current[0], current[1]);
+            current = [start, end];
+        });
+        if (current) months += this.monthsBetween(current[0], current[1]);
+
+        return months;
+    }
+
+    monthsBetween(start, end) {
+        const until = end || this.currentMonth();
+        const months = (until.getFullYear() - start.getFullYear()) * 12 + until.getMonth() - start.getMonth();
+        return Math.max(months, 1);
+    }
+
+    currentMonth() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), 1);
+    }
+
+    formatDuration(months) {
+        const locale = getLocale();
+        const unit = (value, name) => new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: 'long' }).format(value);
+        const parts = [];
+
+        if (months >= 12) parts.push(unit(Math.floor(months / 12), 'year'));
+        if (months % 12) parts.push(unit(months % 12, 'month'));
+
+        return parts.join(' ');
+    }
+
+    renderAchievements(item) {
+        const list = item.querySelector('.timeline-achievements');
+        if (!list) return;
+
+        const entries = Array.from(list.children);
+        const hiddenCount = entries.length - this.visibleAchievements;
+        let toggle = item.querySelector('.timeline-toggle');
+
+        if (hiddenCount <= 0) {
+            if (toggle) toggle.remove();
+            return;
+        }
+
+        if (!toggle) {
+            list.id = list.id || `${item.id || `timeline-item-${this.items.indexOf(item)}`}-achievements`;
+            toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'timeline-toggle';
+            toggle.setAttribute('aria-controls', list.id);
+            list.after(toggle);
+        }
+
+        const isExpanded = this.expanded.has(item);
+        entries.forEach((entry, index) => {
+            entry.hidden = !isExpanded && index >= this.visibleAchievements && !entry.classList.contains('is-match');
+        });
+
+        toggle.setAttribute('aria-expanded', String(isExpanded));
+        toggle.innerHTML = `
+            ${escapeHTML(isExpanded ? translate(this.i18n, 'timeline.showLess') : translate(this.i18n, 'timeline.showMore', { count: hiddenCount }))}
+            <i class="fas fa-chevron-${isExpanded ? 'up' : 'down'}" aria-hidden="true"></i>`;
+    }
+
+    toggleAchievements(item) {
+        if (this.expanded.has(item)) {
+            this.expanded.delete(item);
+        } else {
+            this.expanded.add(item);
+        }
+        this.renderAchievements(item);
+    }
+
+    matchesKeyword(element, keyword) {
+        return element.textContent.toLowerCase().includes(keyword);
+    }
+
+    applyFilters() {
+        const keyword = this.keyword.toLowerCase();
+        let visibleCount = 0;
+
+        this.items.forEach(item => {
+            const companyMatch = !this.company || this.getCompany(item) === this.company;
+            const achievements = Array.from(item.querySelectorAll('.timeline-achievements li'));
+
+            // Mark matching achievements so they show even while the list is collapsed
+            achievements.forEach(li => li.classList.toggle('is-match', Boolean(keyword) && this.matchesKeyword(li, keyword)));
+
+            const keywordMatch = !keyword || achievements.some(li => li.classList.contains('is-match')) ||
+                ['.timeline-title', '.timeline-description'].some(selector => {
+                    const element = item.querySelector(selector);
+                    return element && this.matchesKeyword(element, keyword);
+                });
+
+            item.hidden = !(companyMatch && keywordMatch);
+            if (!item.hidden) visibleCount++;
+
+            this.renderAchievements(item);
+        });
+
+        const isFiltered = this.company !== '' || keyword !== '';
+        this.status.textContent = isFiltered
+            ? (visibleCount === 0
+                ? translate(this.i18n, 'timeline.noMatches')
+                : translate(this.i18n, 'timeline.showing', { count: visibleCount, total: this.items.length }))
+            : '';
+    }
+
+    toISOMonth(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,287 @@
+// ===== TYPING ANIMATION =====
+
+import { Component } from './component.js';
+
+/**
+ * Types and deletes a list of phrases in one element. Configured per element:
+ * data-texts ("A|B|C"), data-texts-i18n (dictionary key of an array, wins when
+ * translations are loaded), data-type-speed, data-delete-speed, data-pause (ms),
+ * data-loop (passes through the list, 0 = forever), data-cursor (bar, block,
+ * underscore, none) and data-live ("list" reads the whole list once, "phrase"
+ * announces each completed phrase).
+ */
+export class TypingAnimation extends Component {
+    constructor(element, motion = null, i18n = null) {
+        super();
+        this.element = element;
+        this.motion = motion;
+        this.i18n = i18n;
+        this.defaultTexts = [
+            'Full Stack Developer',
+            'AI Engineer',
+            'Python Expert',
+            'Django Specialist',
+            'Problem Solver'
+        ];
+        this.timer = null;
+        this.dueAt = 0;
+        this.remainingDelay = 0;
+        this.isRunning = false;
+        this.isPageVisible = !document.hidden;
+        this.isOnScreen = true;
+        this.resetState();
+        this.init();
+    }
+
+    init() {
+        if (!this.element) return;
+
+        const { dataset } = this.element;
+        this.typeSpeed = Number(dataset.typeSpeed || 100);
+        this.deleteSpeed = Number(dataset.deleteSpeed || 50);
+        this.pauseDuration = Number(dataset.pause || 2000);
+        this.loopCount = Number(dataset.loop || 0);
+        this.liveMode = dataset.live === 'phrase' ? 'phrase' : 'list';
+        this.texts = this.getTexts();
+
+        this.element.classList.add(`typing-cursor-${dataset.cursor || 'bar'}`);
+        this.setupAccessibility();
+        this.setupEventListeners();
+        this.start();
+    }
+
+    resetState() {
+        this.currentTextIndex = 0;
+        this.currentCharIndex = 0;
+        this.completedLoops = 0;
+        this.isDeleting = false;
+        this.isFinished = false;
+    }
+
+    getTexts() {
+        const key = this.element.dataset.textsI18n;
+        const translated = key && this.i18n ? this.i18n.t(key) : null;
+        if (Array.isArray(translated) && translated.length) {
+            return translated;
+        }
+
+        const texts = (this.element.dataset.texts || '')
+            .split('|')
+            .map(text => text.trim())
+            .filter(Boolean);
+        return texts.length ? texts : this.defaultTexts;
+    }
+
+    setupAccessibility() {
+        // Screen readers get a stable text instead of every keystroke
+        this.element.setAttribute('aria-hidden', 'true');
+
+        this.liveRegion = document.createElement('span');
+        this.liveRegion.className = 'sr-only';
+        if (this.liveMode === 'phrase') {
+            this.liveRegion.setAttribute('aria-live', 'polite');
+        }
+        this.element.after(this.liveRegion);
+        this.updateLiveRegion();
+    }
+
+    updateLiveRegion() {
+        if (this.liveMode === 'phrase') return;
+
+        const locale = document.documentElement.lang || 'en';
+        this.liveRegion.textContent = typeof Intl.ListFormat === 'function'
+            ? new Intl.ListFormat(locale, { type: 'conjunction' }).format(this.texts)
+            : this.texts.join(', ');
+    }
+
+    announce(phrase) {
+        if (this.liveMode === 'phrase') {
+            this.liveRegion.textContent = phrase;
+        }
+    }
+
+    setupEventListeners() {
+        this.listen(document, 'visibilitychange', () => {
+            this.isPageVisible = !document.hidden;
+            this.resume();
+        });
+        this.listen(document, 'portfolio:localechange', () => this.restart());
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver(entries => {
+                this.isOnScreen = entries[entries.length - 1].isIntersecting;
+                this.resume();
+            });
+            observer.observe(this.element);
+            this.onDestroy(() => observer.disconnect());
+        }
+
+        if (this.motion) {
+            // Switch between typing and whole-phrase swaps without waiting out the current delay
+            this.onDestroy(this.motion.subscribe(() => this.resume({ immediate: true })));
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        if (this.isFinished) {
+            this.resetState();
+        }
+        this.isRunning = true;
+        this.resume();
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.remainingDelay = 0;
+        this.clearTimer();
+    }
+
+    destroy() {
+        this.stop();
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+            this.element.removeAttribute('aria-hidden');
+        }
+
+        super.destroy();
+    }
+
+    restart() {
+        // Start the new language's first phrase rather than finishing the old one
+        const wasFinished = this.isFinished;
+        this.texts = this.getTexts();
+        this.resetState();
+        this.updateLiveRegion();
+
+        if (wasFinished) {
+            this.element.textContent = this.texts[this.texts.length - 1];
+            this.isFinished = true;
+        } else if (this.isRunning) {
+            this.resume({ immediate: true });
+        }
+    }
+
+    canRun() {
+        return this.isRunning && this.isPageVisible && this.isOnScreen;
+    }
+
+    /**
+     * Continue from the current character once nothing is blocking the animation.
+     * A pause or keystroke delay that was cut off runs for whatever was left of it.
+     * @param {Object} options - Resume options
+     * @param {boolean} options.immediate - Skip what is left of the current delay
+     */
+    resume({ immediate = false } = {}) {
+        if (this.timer) {
+            this.remainingDelay = Math.max(this.dueAt - Date.now(), 0);
+            this.clearTimer();
+        }
+
+        if (immediate) {
+            this.remainingDelay = 0;
+        }
+
+        if (this.canRun()) {
+            this.schedule(this.remainingDelay);
+        }
+    }
+
+    schedule(delay) {
+        this.clearTimer();
+        this.remainingDelay = 0;
+        this.dueAt = Date.now() + delay;
+        this.timer = this.delay(() => {
+            this.timer = null;
+            if (this.canRun()) {
+                this.type();
+            }
+        }, delay);
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            this.clearDelay(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the phrase just completed was the last one to show
+     */
+    isFinalPhrase() {
+        return this.loopCount > 0
+            && this.completedLoops === this.loopCount - 1
+            && this.currentTextIndex === this.texts.length - 1;
+    }
+
+    finish() {
+        // Leave the last phrase on screen once the configured loops are done
+        this.isFinished = true;
+        this.stop();
+    }
+
+    advancePhrase() {
+        this.currentTextIndex = (this.currentTextIndex + 1) % this.texts.length;
+        if (this.currentTextIndex === 0) {
+            this.completedLoops++;
+        }
+    }
+
+    type() {
+        if (this.motion && this.motion.isReduced()) {
+            this.cycleWithoutTyping();
+            return;
+        }
+
+        const currentText = this.texts[this.currentTextIndex];
+        
+        if (this.isDeleting) {
+            this.element.textContent = currentText.substring(0, this.currentCharIndex - 1);
+            this.currentCharIndex--;
+        } else {
+            this.element.textContent = currentText.substring(0, this.currentCharIndex + 1);
+            this.currentCharIndex++;
+        }
+
+        let typeSpeed = this.isDeleting ? this.deleteSpeed : this.typeSpeed;
+
+        if (!this.isDeleting && this.currentCharIndex === currentText.length) {
+            this.announce(currentText);
+
+            if (this.isFinalPhrase()) {
+                this.finish();
+                return;
+            }
+
+            typeSpeed = this.pauseDuration;
+            this.isDeleting = true;
+        } else if (this.isDeleting && this.currentCharIndex === 0) {
+            this.isDeleting = false;
+            this.advancePhrase();
+            typeSpeed = 500;
+        }
+
+        this.schedule(typeSpeed);
+    }
+
+    cycleWithoutTyping() {
+        // Swap whole phrases instead of animating characters
+        const currentText = this.texts[this.currentTextIndex];
+        this.element.textContent = currentText;
+        this.announce(currentText);
+        this.currentCharIndex = currentText.length;
+        this.isDeleting = false;
+
+        if (this.isFinalPhrase()) {
+            this.finish();
+            return;
+        }
+
+        this.advancePhrase();
+        this.currentCharIndex = 0;
+        this.schedule(this.pauseDuration * 1.5);
+    }
+}
@@ -0,0 +1,58 @@
+// ===== PUBLIC API =====
+// Everything exported here is free of side effects on import: nothing touches the
+// DOM until a class is instantiated. js/main.js is the only module that starts the app.
+
+export { PortfolioApp } from './app.js';
+export { Component } from './components/component.js';
+export { GitHubActivity } from './components/github-activity.js';
+export { I18n, translate } from './components/i18n.js';
+export { MotionPreference } from './components/motion-preference.js';
+export { ScrollScheduler } from './components/scroll-scheduler.js';
+export { Navigation } from './components/navigation.js';
+export { NotificationCenter, getNotificationCenter } from './components/notification-center.js';
+export { ScrollAnimations } from './components/scroll-animations.js';
+export { BackToTop } from './components/back-to-top.js';
+export { ContactForm } from './components/contact-form.js';
+export { ProjectFilter } from './components/project-filter.js';
+export { ProjectModal } from './components/project-modal.js';
+export { ResumeExport } from './components/resume-export.js';
+export { TypingAnimation } from './components/typing-animation.js';
+export { Timeline } from './components/timeline.js';
+export { ScrollProgress } from './components/scroll-progress.js';
+export { LazyLoading } from './components/lazy-loading.js';
+export { ThemeToggle } from './components/theme-toggle.js';
+export { ServiceWorkerManager } from './components/service-worker-manager.js';
+export { Skills } from './components/skills.js';
+export { ConsentManager } from './components/consent-manager.js';
+export {
+    Analytics,
+    NoopAnalyticsAdapter,
+    GtagAnalyticsAdapter,
+    HttpAnalyticsAdapter,
+    createAnalyticsAdapter
+} from './components/analytics.js';
+export { PerformanceMonitor } from './components/performance-monitor.js';
+export { ContentLoader } from './lib/content-loader.js';
+export { GitHubApiError, GitHubClient } from './lib/github-client.js';
+export {
+    ContactTransportError,
+    HttpTransport,
+    JsonTransport,
+    FormEncodedTransport,
+    MailtoTransport,
+    createContactTransport
+} from './lib/contact-transports.js';
+export { ContactOutbox } from './lib/contact-outbox.js';
+export { extractResume, renderResumeDocument } from './lib/resume.js';
+export {
+    debounce,
+    throttle,
+    isInViewport,
+    escapeHTML,
+    getElementSelector,
+    getLocale,
+    formatDate,
+    parsePeriod,
+    copyToClipboard,
+    showNotification
+} from './utils.js';
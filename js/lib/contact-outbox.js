@@ -0,0 +1,66 @@
+// ===== CONTACT OUTBOX =====
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class ContactOutbox {
+    constructor(dbName = 'portfolio', storeName = 'contactOutbox') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            this.dbPromise = promisifyRequest(request);
+        }
+
+        return this.dbPromise;
+    }
+
+    async getStore(mode) {
+        const db = await this.open();
+        return db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    async add(data) {
+        const store = await this.getStore('readwrite');
+        return promisifyRequest(store.add({ data, createdAt: Date.now() }));
+    }
+
+    async getAll() {
+        const store = await this.getStore('readonly');
+        return promisifyRequest(store.getAll());
+    }
+
+    async remove(id) {
+        const store = await this.getStore('readwrite');
+        return promisifyRequest(store.delete(id));
+    }
+
+    async count() {
+        const store = await this.getStore('readonly');
+        return promisifyRequest(store.count());
+    }
+
+    close() {
+        if (this.dbPromise) {
+            // The next call reopens the database on demand
+            this.dbPromise.then(db => db.close(), () => {});
+            this.dbPromise = null;
+        }
+    }
+}
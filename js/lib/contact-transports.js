@@ -0,0 +1,169 @@
+// ===== CONTACT TRANSPORTS =====
+
+export class ContactTransportError extends Error {
+    constructor(code, message, { status = null, retryable = false, cause = null } = {}) {
+        super(message);
+        this.name = 'ContactTransportError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+export class HttpTransport {
+    constructor({ endpoint, timeout = 10000, retries = 2, retryDelay = 500 } = {}) {
+        if (!endpoint) {
+            throw new Error(`${this.constructor.name} requires an endpoint`);
+        }
+
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+    }
+
+    async send(data) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                await this.request(data);
+                return { delivered: true };
+            } catch (error) {
+                const mappedError = this.mapError(error);
+
+                if (!mappedError.retryable || attempt >= this.retries) {
+                    throw mappedError;
+                }
+
+                // Exponential backoff between attempts
+                const delay = this.retryDelay * 2 ** attempt;
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async request(data) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: this.encode(data),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw this.mapResponse(response);
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    getHeaders() {
+        return { 'Accept': 'application/json' };
+    }
+
+    encode(data) {
+        throw new Error('encode() must be implemented by the transport');
+    }
+
+    mapResponse(response) {
+        const { status } = response;
+
+        if (status === 429) {
+            return new ContactTransportError('rate_limited', 'Too many requests', { status, retryable: true });
+        }
+
+        if (status >= 500) {
+            return new ContactTransportError('server', `Server error (${status})`, { status, retryable: true });
+        }
+
+        return new ContactTransportError('rejected', `Submission rejected (${status})`, { status });
+    }
+
+    mapError(error) {
+        if (error instanceof ContactTransportError) {
+            return error;
+        }
+
+        if (error.name === 'AbortError') {
+            return new ContactTransportError('timeout', 'The request timed out', { retryable: true, cause: error });
+        }
+
+        return new ContactTransportError('network', 'Network request failed', { retryable: true, cause: error });
+    }
+}
+
+export class JsonTransport extends HttpTransport {
+    getHeaders() {
+        return { ...super.getHeaders(), 'Content-Type': 'application/json' };
+    }
+
+    encode(data) {
+        return JSON.stringify(data);
+    }
+}
+
+export class FormEncodedTransport extends HttpTransport {
+    getHeaders() {
+        return { ...super.getHeaders(), 'Content-Type': 'application/x-www-form-urlencoded' };
+    }
+
+    encode(data) {
+        return new URLSearchParams(data).toString();
+    }
+}
+
+export class MailtoTransport {
+    constructor({ address }) {
+        this.address = address;
+    }
+
+    async send(data) {
+        const subject = data.subject || `Portfolio message from ${data.name}`;
+        const body = `Name: ${data.name}\nEmail: ${data.email}\n\n${data.message}`;
+        const params = new URLSearchParams({ subject, body }).toString().replace(/\+/g, '%20');
+
+        try {
+            window.location.href = `mailto:${this.address}?${params}`;
+        } catch (error) {
+            throw new ContactTransportError('unsupported', 'Could not open the mail client', { cause: error });
+        }
+
+        // The message is only handed to the visitor's mail client, not sent
+        return { delivered: false };
+    }
+}
+
+/**
+ * Create the transport configured on a contact form via data attributes
+ * @param {HTMLFormElement} form - Form with data-transport, action, data-timeout and data-retries
+ * @returns {{send: Function}} Transport instance
+ */
+export function createContactTransport(form) {
+    const type = form.dataset.transport || 'mailto';
+    const action = form.getAttribute('action') || '';
+    const options = { endpoint: action };
+
+    if (form.dataset.timeout) options.timeout = Number(form.dataset.timeout);
+    if (form.dataset.retries) options.retries = Number(form.dataset.retries);
+
+    switch (type) {
+        case 'json':
+            return new JsonTransport(options);
+        case 'form':
+            return new FormEncodedTransport(options);
+        case 'mailto':
+            return new MailtoTransport({ address: action.replace(/^mailto:/, '') });
+        default:
+            throw new Error(`Unknown contact transport: ${type}`);
+    }
+}
@@ -0,0 +1,130 @@
+// ===== CONTENT LOADER =====
+
+import { escapeHTML } from '../utils.js';
+
+export class ContentLoader {
+    constructor(url = './content.json') {
+        this.url = url;
+        this.content = null;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            this.content = await response.json();
+            this.render();
+        } catch (error) {
+            // Keep the static markup in index.html as the fallback
+            console.warn('Could not load content, using static markup:', error);
+        }
+
+        return this.content;
+    }
+
+    render() {
+        const { skills, projects, experience, social } = this.content;
+
+        if (Array.isArray(skills)) {
+            this.renderInto('.skills-container', skills.map(category => this.renderSkillCategory(category)));
+        }
+
+        if (Array.isArray(projects)) {
+            this.renderInto('.projects-grid', projects.map(project => this.renderProject(project)));
+        }
+
+        if (Array.isArray(experience)) {
+            this.renderInto('.timeline', experience.map(item => this.renderTimelineItem(item)));
+        }
+
+        if (Array.isArray(social)) {
+            document.querySelectorAll('.hero-social, .footer-social').forEach(container => {
+                container.innerHTML = social.map(link => this.renderSocialLink(link)).join('');
+            });
+        }
+    }
+
+    renderInto(selector, items) {
+        const container = document.querySelector(selector);
+        if (container) {
+            container.innerHTML = items.join('');
+        }
+    }
+
+    renderSkillCategory(category) {
+        const items = category.items.map(skill => `
+            <div class="skill-item"${skill.level ? ` data-level="${escapeHTML(skill.level)}"` : ''}${skill.years ? ` data-years="${escapeHTML(String(skill.years))}"` : ''}>
+                <i class="${escapeHTML(skill.icon)}"></i>
+                <span>${escapeHTML(skill.name)}</span>
+            </div>`).join('');
+
+        return `
+            <div class="skill-category">
+                <h3 class="category-title">
+                    <i class="${escapeHTML(category.icon)}"></i>
+                    ${escapeHTML(category.title)}
+                </h3>
+                <div class="skills-grid">${items}</div>
+            </div>`;
+    }
+
+    renderProject(project) {
+        const links = project.links || {};
+        const tags = project.tech.map(tag => `<span class="tech-tag">${escapeHTML(tag)}</span>`).join('');
+
+        return `
+            <div class="project-card"${project.id ? ` id="project-${escapeHTML(project.id)}"` : ''}>
+                <div class="project-image">
+                    <div class="project-img-placeholder">
+                        <i class="${escapeHTML(project.icon)}"></i>
+                    </div>
+                    <div class="project-overlay">
+                        <div class="project-links">
+                            ${links.source ? `
+                            <a href="${escapeHTML(links.source)}" target="_blank" rel="noopener noreferrer" aria-label="View Source Code" data-link="source">
+                                <i class="fab fa-github"></i>
+                            </a>` : ''}
+                            ${links.demo ? `
+                            <a href="${escapeHTML(links.demo)}" target="_blank" rel="noopener noreferrer" aria-label="Live Demo" data-link="demo">
+                                <i class="fas fa-external-link-alt"></i>
+                            </a>` : ''}
+                        </div>
+                    </div>
+                </div>
+                <div class="project-content">
+                    <h3 class="project-title">${escapeHTML(project.title)}</h3>
+                    <p class="project-description">${escapeHTML(project.description)}</p>
+                    <div class="project-tech">${tags}</div>
+                </div>
+            </div>`;
+    }
+
+    renderTimelineItem(item) {
+        const achievements = item.achievements.map(text => `<li>${escapeHTML(text)}</li>`).join('');
+
+        return `
+            <div class="timeline-item"${item.id ? ` id="experience-${escapeHTML(item.id)}"` : ''}>
+                <div class="timeline-marker"></div>
+                <div class="timeline-content">
+                    <h3 class="timeline-title">${escapeHTML(item.title)}</h3>
+                    <h4 class="timeline-company">${escapeHTML(item.company)}</h4>
+                    <p class="timeline-period">${escapeHTML(item.period)}</p>
+                    <p class="timeline-description">${escapeHTML(item.description)}</p>
+                    <ul class="timeline-achievements">${achievements}</ul>
+                </div>
+            </div>`;
+    }
+
+    renderSocialLink(link) {
+        const isExternal = /^https?:/.test(link.url);
+        const target = isExternal ? ' target="_blank" rel="noopener noreferrer"' : '';
+
+        return `
+            <a href="${escapeHTML(link.url)}"${target} aria-label="${escapeHTML(link.label)}">
+                <i class="${escapeHTML(link.icon)}"></i>
+            </a>`;
+    }
+}
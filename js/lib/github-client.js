@@ -0,0 +1,173 @@
+// ===== GITHUB API CLIENT =====
+
+function defaultStorage() {
+    // Reading localStorage throws when storage is blocked
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+export class GitHubApiError extends Error {
+    constructor(code, message, { status = null, resetAt = null, cause = null } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.code = code;
+        this.status = status;
+        this.resetAt = resetAt;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Read-only GitHub REST client that caches responses in localStorage.
+ * Cached entries are reused for `ttl` ms, then revalidated with If-None-Match;
+ * once the rate limit is hit, requests stop until the reset time and stale
+ * cache is served instead.
+ */
+export class GitHubClient {
+    constructor({ baseUrl = 'https://api.github.com', ttl = 10 * 60 * 1000, timeout = 8000, storage = defaultStorage() } = {}) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.ttl = ttl;
+        this.timeout = timeout;
+        this.storage = storage;
+        this.storagePrefix = `github:${this.baseUrl}:`;
+        this.rateLimitKey = `${this.storagePrefix}rateLimitReset`;
+    }
+
+    /**
+     * GET an API path
+     * @param {string} path - Path below the base URL, e.g. "/users/octocat/repos"
+     * @returns {Promise<{data: *, stale: boolean, error: GitHubApiError|null}>} Response body; when served from
+     *     cache after a failure, stale is true and error says why
+     */
+    async get(path) {
+        const cached = this.read(path);
+
+        if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+            return { data: cached.data, stale: false, error: null };
+        }
+
+        try {
+            const resetAt = this.getRateLimitReset();
+            if (resetAt) {
+                throw new GitHubApiError('rate_limited', 'GitHub API rate limit exceeded', { resetAt });
+            }
+
+            return { data: await this.request(path, cached), stale: false, error: null };
+        } catch (error) {
+            // Anything cached beats an empty section
+            if (cached) {
+                return { data: cached.data, stale: true, error };
+            }
+            throw error;
+        }
+    }
+
+    async request(path, cached) {
+        const headers = { 'Accept': 'application/vnd.github+json' };
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, { headers, signal: controller.signal });
+        } catch (error) {
+            throw new GitHubApiError('network', 'Could not reach the GitHub API', { cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.status === 304 && cached) {
+            this.write(path, { ...cached, fetchedAt: Date.now() });
+            return cached.data;
+        }
+
+        if (this.isRateLimited(response)) {
+            const resetAt = this.getResetTime(response);
+            this.setItem(this.rateLimitKey, String(resetAt));
+            throw new GitHubApiError('rate_limited', 'GitHub API rate limit exceeded', { status: response.status, resetAt });
+        }
+
+        if (!response.ok) {
+            throw new GitHubApiError('http', `GitHub API responded with status ${response.status}`, { status: response.status });
+        }
+
+        const data = await response.json();
+        this.write(path, { etag: response.headers.get('ETag'), data, fetchedAt: Date.now() });
+        return data;
+    }
+
+    isRateLimited(response) {
+        if (response.status === 429) return true;
+
+        // Primary limits report zero remaining; secondary limits send Retry-After
+        return response.status === 403 && (
+            response.headers.get('X-RateLimit-Remaining') === '0' ||
+            response.headers.has('Retry-After')
+        );
+    }
+
+    getResetTime(response) {
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        if (retryAfter > 0) {
+            return Date.now() + retryAfter * 1000;
+        }
+
+        const reset = Number(response.headers.get('X-RateLimit-Reset'));
+        // Without a reset header, back off for a minute
+        return reset > 0 ? reset * 1000 : Date.now() + 60 * 1000;
+    }
+
+    getRateLimitReset() {
+        const resetAt = Number(this.getItem(this.rateLimitKey));
+        if (resetAt > Date.now()) return resetAt;
+
+        if (resetAt) {
+            this.removeItem(this.rateLimitKey);
+        }
+        return null;
+    }
+
+    read(path) {
+        try {
+            return JSON.parse(this.getItem(this.storagePrefix + path));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(path, entry) {
+        this.setItem(this.storagePrefix + path, JSON.stringify(entry));
+    }
+
+    // Storage can be missing or full (private browsing, quota); the client still works uncached
+    getItem(key) {
+        try {
+            return this.storage ? this.storage.getItem(key) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setItem(key, value) {
+        try {
+            if (this.storage) this.storage.setItem(key, value);
+        } catch (error) {
+            console.warn('Could not cache GitHub response:', error);
+        }
+    }
+
+    removeItem(key) {
+        try {
+            if (this.storage) this.storage.removeItem(key);
+        } catch (error) {
+            // Nothing to clean up
+        }
+    }
+}
@@ -0,0 +1,216 @@
+// ===== RESUME EXPORT =====
+// Builds a JSON Resume (https://jsonresume.org/schema) document from the rendered page,
+// so the downloadable CV always matches what the site shows
+
+import { escapeHTML, formatDate, parsePeriod } from '../utils.js';
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const NETWORKS = {
+    'github.com': 'GitHub',
+    'linkedin.com': 'LinkedIn',
+    'twitter.com': 'Twitter',
+    'x.com': 'X'
+};
+
+/**
+ * Extract the résumé from the page markup
+ * @param {Document|HTMLElement} root - Where to look for the portfolio sections
+ * @returns {Object} JSON Resume document
+ */
+export function extractResume(root = document) {
+    return {
+        $schema: SCHEMA_URL,
+        basics: extractBasics(root),
+        work: Array.from(root.querySelectorAll('.timeline-item')).map(extractWork),
+        skills: Array.from(root.querySelectorAll('.skill-category')).map(category => ({
+            name: text(category.querySelector('.category-title')),
+            keywords: texts(category.querySelectorAll('.skill-item span'))
+        })),
+        projects: Array.from(root.querySelectorAll('.project-card')).map(extractProject),
+        meta: {
+            canonical: pageUrl(root),
+            lastModified: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Render a standalone, print-ready HTML document for a résumé
+ * @param {Object} resume - JSON Resume document
+ * @param {Object} options - Rendering options
+ * @param {string} options.stylesheet - Absolute URL of the print stylesheet
+ * @param {string} options.lang - Document language
+ * @param {Object} options.labels - Section headings (summary, experience, skills, projects, present)
+ * @returns {string} HTML document
+ */
+export function renderResumeDocument(resume, { stylesheet, lang = 'en', labels = {} } = {}) {
+    const { basics, work, skills, projects } = resume;
+    const heading = { summary: 'Summary', experience: 'Experience', skills: 'Skills', projects: 'Projects', present: 'Present', ...labels };
+
+    const contact = [
+        basics.email ? `<a href="mailto:${escapeHTML(basics.email)}">${escapeHTML(basics.email)}</a>` : '',
+        basics.location ? escapeHTML([basics.location.city, basics.location.countryCode].filter(Boolean).join(', ')) : '',
+        ...basics.profiles.map(profile => `<a href="${escapeHTML(profile.url)}">${escapeHTML(displayUrl(profile.url))}</a>`)
+    ].filter(Boolean).map(item => `<li>${item}</li>`).join('');
+
+    const jobs = work.map(job => `
+        <article class="resume-entry">
+            <header class="resume-entry-header">
+                <h3>${escapeHTML(job.position)}<span class="resume-org"> · ${escapeHTML(job.name)}</span></h3>
+                <p class="resume-dates">${escapeHTML(formatRange(job.startDate, job.endDate, heading.present))}</p>
+            </header>
+            ${job.summary ? `<p>${escapeHTML(job.summary)}</p>` : ''}
+            ${job.highlights.length ? `<ul>${job.highlights.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>` : ''}
+        </article>`).join('');
+
+    const skillRows = skills.map(skill => `
+        <div class="resume-skill">
+            <dt>${escapeHTML(skill.name)}</dt>
+            <dd>${escapeHTML(skill.keywords.join(', '))}</dd>
+        </div>`).join('');
+
+    const projectItems = projects.map(project => `
+        <article class="resume-entry">
+            <h3>${escapeHTML(project.name)}</h3>
+            <p>${escapeHTML(project.description)}</p>
+            ${project.keywords.length ? `<p class="resume-keywords">${escapeHTML(project.keywords.join(' · '))}</p>` : ''}
+        </article>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHTML(lang)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(basics.name)} - ${escapeHTML(basics.label)}</title>
+    ${stylesheet ? `<link rel="stylesheet" href="${escapeHTML(stylesheet)}">` : ''}
+</head>
+<body>
+    <main class="resume">
+        <header class="resume-header">
+            <h1>${escapeHTML(basics.name)}</h1>
+            <p class="resume-label">${escapeHTML(basics.label)}</p>
+            <ul class="resume-contact">${contact}</ul>
+        </header>
+        ${basics.summary ? `<section><h2>${escapeHTML(heading.summary)}</h2><p>${escapeHTML(basics.summary)}</p></section>` : ''}
+        ${jobs ? `<section><h2>${escapeHTML(heading.experience)}</h2>${jobs}</section>` : ''}
+        ${skillRows ? `<section><h2>${escapeHTML(heading.skills)}</h2><dl class="resume-skills">${skillRows}</dl></section>` : ''}
+        ${projectItems ? `<section><h2>${escapeHTML(heading.projects)}</h2>${projectItems}</section>` : ''}
+    </main>
+</body>
+</html>`;
+}
+
+function extractBasics(root) {
+    const email = root.querySelector('a[href^="mailto:"]');
+    const photo = root.querySelector('.profile-img');
+
+    return {
+        name: text(root.querySelector('.hero-title .highlight')),
+        label: text(root.querySelector('.hero-subtitle')),
+        image: photo ? photo.src : '',
+        email: email ? email.getAttribute('href').replace(/^mailto:/, '').split('?')[0] : '',
+        url: pageUrl(root),
+        summary: text(root.querySelector('.hero-description')),
+        location: extractLocation(root),
+        profiles: Array.from(root.querySelectorAll('.hero-social a[href^="http"]')).map(extractProfile)
+    };
+}
+
+function extractLocation(root) {
+    // The structured data already carries the address in machine-readable form
+    const script = documentOf(root).querySelector('script[type="application/ld+json"]');
+
+    try {
+        const person = JSON.parse(script.textContent);
+        const place = person.workLocation || person.worksFor || {};
+        const address = place.address || {};
+        return { city: address.addressLocality || '', countryCode: address.addressCountry || '' };
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function extractProfile(link) {
+    const url = new URL(link.href);
+    const host = url.hostname.replace(/^www\./, '');
+
+    return {
+        network: NETWORKS[host] || link.getAttribute('aria-label') || host,
+        username: url.pathname.split('/').filter(Boolean).pop() || '',
+        url: link.href
+    };
+}
+
+function extractWork(item) {
+    // Timeline keeps the source text in data-period once it has reformatted the dates
+    const periodElement = item.querySelector('.timeline-period');
+    const period = parsePeriod(periodElement ? periodElement.dataset.period || text(periodElement) : '');
+    const job = {
+        name: text(item.querySelector('.timeline-company')),
+        position: text(item.querySelector('.timeline-title')),
+        summary: text(item.querySelector('.timeline-description')),
+        highlights: texts(item.querySelectorAll('.timeline-achievements li'))
+    };
+
+    if (period) {
+        job.startDate = isoMonth(period.start);
+        // JSON Resume leaves endDate out for current positions
+        if (period.end) {
+            job.endDate = isoMonth(period.end);
+        }
+    }
+
+    return job;
+}
+
+function extractProject(card) {
+    const project = {
+        name: text(card.querySelector('.project-title')),
+        description: text(card.querySelector('.project-description')),
+        keywords: texts(card.querySelectorAll('.tech-tag'))
+    };
+
+    const link = card.querySelector('.project-links a[href]');
+    if (link) {
+        project.url = link.href;
+    }
+
+    return project;
+}
+
+function formatRange(startDate, endDate, presentLabel) {
+    if (!startDate) return '';
+
+    const format = value => {
+        const [year, month] = value.split('-').map(Number);
+        return formatDate(new Date(year, month - 1, 1), { year: 'numeric', month: 'short' });
+    };
+
+    return `${format(startDate)} – ${endDate ? format(endDate) : presentLabel}`;
+}
+
+function isoMonth(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function pageUrl(root) {
+    const canonical = documentOf(root).querySelector('link[rel="canonical"]');
+    return canonical ? canonical.href : `${location.origin}${location.pathname}`;
+}
+
+// Page-level metadata lives in <head>, outside any section passed in as the root
+function documentOf(root) {
+    return root.ownerDocument || root;
+}
+
+function displayUrl(url) {
+    return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+function text(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function texts(elements) {
+    return Array.from(elements).map(text).filter(Boolean);
+}
@@ -0,0 +1,245 @@
+// ===== ENGLISH DICTIONARY =====
+// Ships with the code rather than as locales/en.json: it is the fallback for every other
+// locale, so it has to be there even when the dictionaries can't be fetched.
+
+export default {
+    meta: {
+        title: 'Shakti Singh - Lead Software Engineer | AI & Automation Expert at GALE',
+        description: 'Shakti Singh - Lead Software Engineer at GALE with 8+ years experience. Expert in Django, Python, LangChain, AI/ML, QA Automation, Creative Analysis, Campaign Automation. Revolutionizing test automation with Generative AI and building scalable AI solutions.',
+        jobTitle: 'Lead Software Engineer',
+        personDescription: 'Lead Software Engineer at GALE with 8+ years experience. Expert in AI automation, QA testing, creative analysis, and campaign automation using Python, Django, LangChain, and Generative AI.'
+    },
+    nav: {
+        home: 'Home',
+        about: 'About',
+        skills: 'Skills',
+        projects: 'Projects',
+        experience: 'Experience',
+        contact: 'Contact',
+        language: 'Language',
+        openMenu: 'Open navigation menu',
+        closeMenu: 'Close navigation menu'
+    },
+    theme: {
+        label: 'Color theme: {theme}. Click to change.',
+        light: 'light',
+        dark: 'dark',
+        system: 'system'
+    },
+    motion: {
+        label: 'Reduce motion',
+        on: 'Animations on',
+        off: 'Animations off'
+    },
+    hero: {
+        greeting: "Hi, I'm",
+        subtitle: 'Team Lead | Full Stack Developer & AI Engineer',
+        description: 'Highly accomplished Lead Software Engineer with over 8 years of experience in full-stack Python development, Building innovative web applications and AI solutions with expertise in Django, Python, LangChain, and multimedia processing. Automating complex workflows, and leveraging AI/ML for enhanced efficiency. Passionate about creating scalable, intelligent systems that solve real-world problems and improving system performance, and leading high-performing engineering teams. Seeking to apply advanced software development and automation skills to drive innovation in a dynamic environment.',
+        viewProjects: 'View Projects',
+        roles: [
+            'Full Stack Developer',
+            'AI Engineer',
+            'Python Expert',
+            'Django Specialist',
+            'Problem Solver'
+        ]
+    },
+    resume: {
+        download: 'Download résumé',
+        pdf: 'PDF (print layout)',
+        json: 'JSON Resume',
+        printHint: 'Choose "Save as PDF" in the print dialog to keep a copy.',
+        summary: 'Summary',
+        experience: 'Experience',
+        skills: 'Skills',
+        projects: 'Projects',
+        present: 'Present'
+    },
+    about: {
+        title: 'About Me',
+        description: 'Get to know more about my background and passion',
+        paragraph1: "I'm a passionate Full Stack Developer and AI Engineer with expertise in building scalable web applications and intelligent systems. My journey in software development spans across various technologies, with a strong focus on Python, Django, and modern AI frameworks.",
+        paragraph2: 'I specialize in developing RESTful APIs, implementing AI-powered solutions using LangChain and OpenAI, and creating multimedia processing systems. My current projects include advanced booking systems with AI agents, video generation platforms, and document processing pipelines.',
+        cleanCode: 'Clean Code',
+        cleanCodeText: 'Writing maintainable, scalable, and well-documented code',
+        aiIntegration: 'AI Integration',
+        aiIntegrationText: 'Implementing AI solutions with LangChain, OpenAI, and Google GenAI',
+        innovation: 'Innovation',
+        innovationText: 'Building cutting-edge applications that solve real-world problems',
+        leadership: 'Leadership',
+        leadershipText: 'Leading cross-functional teams and mentoring developers to deliver exceptional results'
+    },
+    skills: {
+        title: 'Technical Skills',
+        description: 'Technologies and tools I work with',
+        viewLabel: 'Skills view',
+        views: {
+            grid: 'By category',
+            list: 'By proficiency',
+            cloud: 'Tag cloud'
+        },
+        levels: {
+            expert: 'Expert',
+            advanced: 'Advanced',
+            intermediate: 'Intermediate',
+            beginner: 'Beginner'
+        },
+        matches: '{skill}: {projects} and {positions} highlighted. Press Escape to clear.',
+        projectCount: {
+            one: '{count} project',
+            other: '{count} projects'
+        },
+        positionCount: {
+            one: '{count} position',
+            other: '{count} positions'
+        }
+    },
+    projects: {
+        title: 'Featured Projects',
+        description: 'A showcase of my recent work and contributions',
+        filter: {
+            searchPlaceholder: 'Search projects...',
+            searchLabel: 'Search projects',
+            modeLabel: 'Tag matching',
+            any: 'Any tag',
+            all: 'All tags',
+            clear: 'Clear',
+            tagsLabel: 'Filter by technology',
+            showing: {
+                one: 'Showing {count} of {total} projects',
+                other: 'Showing {count} of {total} projects'
+            },
+            noMatches: 'No projects match the current filters.'
+        },
+        caseStudy: {
+            open: 'View case study',
+            close: 'Close case study',
+            problem: 'The problem',
+            architecture: 'Architecture',
+            results: 'Results',
+            screenshots: 'Screenshots',
+            source: 'Source code',
+            demo: 'Live demo'
+        }
+    },
+    github: {
+        title: 'Latest on GitHub',
+        profile: 'View GitHub profile',
+        repositories: 'Recently updated repositories',
+        activity: 'Recent activity',
+        stars: {
+            one: '{count} star',
+            other: '{count} stars'
+        },
+        updated: 'Updated {date}',
+        status: {
+            stale: 'GitHub is unavailable right now, so this may be out of date.',
+            rateLimited: 'GitHub request limit reached. Fresh data will be available after {time}.'
+        },
+        events: {
+            push: {
+                one: 'Pushed {count} commit to',
+                other: 'Pushed {count} commits to'
+            },
+            create: 'Created a {type} in',
+            pullRequest: 'Pull request {action} in',
+            issue: 'Issue {action} in',
+            release: 'Published a release of',
+            star: 'Starred',
+            fork: 'Forked',
+            other: '{type} in'
+        }
+    },
+    experience: {
+        title: 'Professional Experience',
+        description: 'My journey in software development and AI engineering'
+    },
+    timeline: {
+        present: 'Present',
+        total: '{years} of professional experience',
+        showMore: {
+            one: 'Show {count} more achievement',
+            other: 'Show {count} more achievements'
+        },
+        showLess: 'Show fewer',
+        searchPlaceholder: 'Filter by skill, e.g. Django',
+        searchLabel: 'Filter experience by skill',
+        companyLabel: 'Filter by company',
+        clear: 'Clear',
+        showing: {
+            one: 'Showing {count} of {total} positions',
+            other: 'Showing {count} of {total} positions'
+        },
+        noMatches: 'No positions match the current filters.'
+    },
+    contact: {
+        title: 'Get In Touch',
+        description: 'Have a project in mind or want to collaborate? Send me a message',
+        email: 'Email',
+        linkedin: 'LinkedIn',
+        location: 'Location',
+        locationValue: 'Bengaluru, India',
+        fields: {
+            name: 'Name',
+            email: 'Email',
+            subject: 'Subject',
+            message: 'Message'
+        },
+        send: 'Send Message',
+        sending: 'Sending...',
+        validation: {
+            required: 'This field is required',
+            email: 'Please enter a valid email address',
+            minLength: 'Minimum {count} characters required'
+        },
+        status: {
+            delivered: "Thank you for your message! I'll get back to you soon.",
+            handedOff: "Your email app should open with the message ready to send. If it doesn't, email me directly.",
+            blocked: 'Your message could not be sent right now. Please try again later.',
+            queued: 'You appear to be offline. Your message has been saved and will be sent automatically when your connection returns.',
+            outboxSent: {
+                one: 'Your saved message has been sent.',
+                other: '{count} saved messages have been sent.'
+            },
+            outboxFailed: {
+                one: 'Your saved message was rejected and could not be sent. Please send it again or email me directly.',
+                other: '{count} saved messages were rejected and could not be sent. Please send them again or email me directly.'
+            },
+            outboxPending: {
+                one: "{count} message waiting to be sent. Retrying when you're back online.",
+                other: "{count} messages waiting to be sent. Retrying when you're back online."
+            }
+        },
+        errors: {
+            timeout: 'The server took too long to respond. Please try again in a moment.',
+            network: 'Your message could not be sent. Please check your connection and try again.',
+            rateLimited: 'Too many messages have been sent recently. Please try again later.',
+            rejected: 'Your message was rejected. Please check the form and try again.',
+            unknown: 'Sorry, there was an error sending your message. Please try again.'
+        }
+    },
+    footer: {
+        rights: 'All rights reserved.',
+        tagline: 'Full Stack Developer & AI Engineer',
+        cookies: 'Cookie preferences'
+    },
+    consent: {
+        title: 'Analytics cookies',
+        description: 'With your permission this site uses Google Analytics to understand which sections and projects visitors find useful. No analytics cookies are set unless you allow them.',
+        allow: 'Allow analytics',
+        decline: 'Decline',
+        withdraw: 'Withdraw consent',
+        status: {
+            granted: 'Current choice: analytics allowed.',
+            denied: 'Current choice: analytics declined.'
+        }
+    },
+    update: {
+        available: 'A new version of this site is available.',
+        reload: 'Reload'
+    },
+    notifications: {
+        label: 'Notifications',
+        dismiss: 'Dismiss notification'
+    }
+};
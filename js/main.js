@@ -1,844 +1,14 @@
 // ===== PORTFOLIO WEBSITE JAVASCRIPT =====
-// Main JavaScript file for interactive functionality
+// Entry point, loaded from index.html as <script type="module">
 // Author: Shakti Singh
 // Last Updated: 2024
 
-// ===== UTILITY FUNCTIONS =====
-
-/**
- * Debounce function to limit the rate of function execution
- * @param {Function} func - Function to debounce
- * @param {number} wait - Wait time in milliseconds
- * @param {boolean} immediate - Execute immediately
- * @returns {Function} Debounced function
- */
-function debounce(func, wait, immediate) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            timeout = null;
-            if (!immediate) func(...args);
-        };
-        const callNow = immediate && !timeout;
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-        if (callNow) func(...args);
-    };
-}
-
-/**
- * Throttle function to limit function execution frequency
- * @param {Function} func - Function to throttle
- * @param {number} limit - Time limit in milliseconds
- * @returns {Function} Throttled function
- */
-function throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
-        }
-    };
-}
-
-/**
- * Check if element is in viewport
- * @param {Element} element - Element to check
- * @returns {boolean} True if element is visible
- */
-function isInViewport(element) {
-    const rect = element.getBoundingClientRect();
-    return (
-        rect.top >= 0 &&
-        rect.left >= 0 &&
-        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-    );
-}
-
-// ===== NAVIGATION FUNCTIONALITY =====
-
-class Navigation {
-    constructor() {
-        this.navbar = document.getElementById('navbar');
-        this.navToggle = document.getElementById('nav-toggle');
-        this.navMenu = document.getElementById('nav-menu');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        
-        this.init();
-    }
-
-    init() {
-        this.setupEventListeners();
-        this.updateActiveLink();
-    }
-
-    setupEventListeners() {
-        // Mobile menu toggle
-        if (this.navToggle) {
-            this.navToggle.addEventListener('click', () => this.toggleMobileMenu());
-        }
-
-        // Close mobile menu when clicking on nav links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', () => this.closeMobileMenu());
-        });
-
-        // Smooth scrolling for navigation links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => this.handleSmoothScroll(e));
-        });
-
-        // Update active link on scroll
-        window.addEventListener('scroll', throttle(() => this.updateActiveLink(), 100));
-
-        // Hide/show navbar on scroll
-        window.addEventListener('scroll', throttle(() => this.handleNavbarScroll(), 100));
-    }
-
-    toggleMobileMenu() {
-        this.navMenu.classList.toggle('active');
-        this.navToggle.classList.toggle('active');
-        
-        // Prevent body scroll when menu is open
-        document.body.style.overflow = this.navMenu.classList.contains('active') ? 'hidden' : '';
-    }
-
-    closeMobileMenu() {
-        this.navMenu.classList.remove('active');
-        this.navToggle.classList.remove('active');
-        document.body.style.overflow = '';
-    }
-
-    handleSmoothScroll(e) {
-        const href = e.currentTarget.getAttribute('href');
-        
-        if (href.startsWith('#')) {
-            e.preventDefault();
-            const targetElement = document.querySelector(href);
-            
-            if (targetElement) {
-                const offsetTop = targetElement.offsetTop - 80; // Account for fixed navbar
-                window.scrollTo({
-                    top: offsetTop,
-                    behavior: 'smooth'
-                });
-            }
-        }
-    }
-
-    updateActiveLink() {
-        const sections = document.querySelectorAll('section[id]');
-        const scrollPos = window.scrollY + 100;
-
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionBottom = sectionTop + section.offsetHeight;
-            const sectionId = section.getAttribute('id');
-            const correspondingLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
-
-            if (scrollPos >= sectionTop && scrollPos < sectionBottom) {
-                // Remove active class from all links
-                this.navLinks.forEach(link => link.classList.remove('active'));
-                // Add active class to current link
-                if (correspondingLink) {
-                    correspondingLink.classList.add('active');
-                }
-            }
-        });
-    }
-
-    handleNavbarScroll() {
-        const scrollY = window.scrollY;
-        
-        if (scrollY > 100) {
-            this.navbar.classList.add('scrolled');
-        } else {
-            this.navbar.classList.remove('scrolled');
-        }
-    }
-}
-
-// ===== SCROLL ANIMATIONS =====
-
-class ScrollAnimations {
-    constructor() {
-        this.animatedElements = document.querySelectorAll('.animate-on-scroll');
-        this.init();
-    }
-
-    init() {
-        this.setupIntersectionObserver();
-        this.addAnimationClasses();
-    }
-
-    addAnimationClasses() {
-        // Add animation classes to elements that should animate on scroll
-        const elementsToAnimate = [
-            { selector: '.hero-text', animation: 'animate-fade-in-left' },
-            { selector: '.hero-image', animation: 'animate-fade-in-right' },
-            { selector: '.about-content', animation: 'animate-fade-in-up' },
-            { selector: '.skill-category', animation: 'animate-fade-in-up' },
-            { selector: '.project-card', animation: 'animate-fade-in-up' },
-            { selector: '.timeline-item', animation: 'animate-fade-in-left' },
-            { selector: '.contact-container', animation: 'animate-fade-in-up' }
-        ];
-
-        elementsToAnimate.forEach(({ selector, animation }) => {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(el => {
-                el.classList.add('animate-on-scroll');
-                el.setAttribute('data-animation', animation);
-            });
-        });
-    }
-
-    setupIntersectionObserver() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
-
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const animation = entry.target.getAttribute('data-animation');
-                    entry.target.classList.add(animation);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, observerOptions);
-
-        this.animatedElements.forEach(el => {
-            observer.observe(el);
-        });
-    }
-}
-
-// ===== BACK TO TOP BUTTON =====
-
-class BackToTop {
-    constructor() {
-        this.button = document.getElementById('back-to-top');
-        this.init();
-    }
-
-    init() {
-        if (this.button) {
-            this.setupEventListeners();
-        }
-    }
-
-    setupEventListeners() {
-        // Show/hide button based on scroll position
-        window.addEventListener('scroll', throttle(() => this.toggleVisibility(), 100));
-        
-        // Smooth scroll to top when clicked
-        this.button.addEventListener('click', () => this.scrollToTop());
-    }
-
-    toggleVisibility() {
-        const scrollY = window.scrollY;
-        
-        if (scrollY > 300) {
-            this.button.classList.add('visible');
-        } else {
-            this.button.classList.remove('visible');
-        }
-    }
-
-    scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
-        });
-    }
-}
-
-// ===== CONTACT FORM HANDLER =====
-
-class ContactForm {
-    constructor() {
-        this.form = document.getElementById('contact-form');
-        this.init();
-    }
-
-    init() {
-        if (this.form) {
-            this.setupEventListeners();
-        }
-    }
-
-    setupEventListeners() {
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        
-        // Add real-time validation
-        const inputs = this.form.querySelectorAll('input, textarea');
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input));
-            input.addEventListener('input', () => this.clearValidationError(input));
-        });
-    }
-
-    handleSubmit(e) {
-        e.preventDefault();
-        
-        if (this.validateForm()) {
-            this.submitForm();
-        }
-    }
-
-    validateForm() {
-        const inputs = this.form.querySelectorAll('input[required], textarea[required]');
-        let isValid = true;
-
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
-        });
-
-        return isValid;
-    }
-
-    validateField(field) {
-        const value = field.value.trim();
-        const fieldType = field.type;
-        let isValid = true;
-        let errorMessage = '';
-
-        // Remove existing error
-        this.clearValidationError(field);
-
-        // Check if required field is empty
-        if (field.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = 'This field is required';
-        }
-        // Validate email format
-        else if (fieldType === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Please enter a valid email address';
-            }
-        }
-        // Validate minimum length
-        else if (field.hasAttribute('minlength') && value.length < field.getAttribute('minlength')) {
-            isValid = false;
-            errorMessage = `Minimum ${field.getAttribute('minlength')} characters required`;
-        }
-
-        if (!isValid) {
-            this.showValidationError(field, errorMessage);
-        }
-
-        return isValid;
-    }
-
-    showValidationError(field, message) {
-        field.classList.add('error');
-        
-        // Create error message element
-        const errorElement = document.createElement('span');
-        errorElement.className = 'error-message';
-        errorElement.textContent = message;
-        
-        // Insert error message after the field
-        field.parentNode.appendChild(errorElement);
-    }
-
-    clearValidationError(field) {
-        field.classList.remove('error');
-        
-        // Remove existing error message
-        const existingError = field.parentNode.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
-        }
-    }
-
-    async submitForm() {
-        const formData = new FormData(this.form);
-        const submitButton = this.form.querySelector('button[type="submit"]');
-        const originalText = submitButton.textContent;
-
-        try {
-            // Show loading state
-            submitButton.textContent = 'Sending...';
-            submitButton.disabled = true;
-
-            // Simulate form submission (replace with actual endpoint)
-            await this.simulateFormSubmission(formData);
-
-            // Show success message
-            this.showMessage('Thank you for your message! I\'ll get back to you soon.', 'success');
-            this.form.reset();
-
-        } catch (error) {
-            console.error('Form submission error:', error);
-            this.showMessage('Sorry, there was an error sending your message. Please try again.', 'error');
-        } finally {
-            // Reset button state
-            submitButton.textContent = originalText;
-            submitButton.disabled = false;
-        }
-    }
-
-    async simulateFormSubmission(formData) {
-        // Simulate API call delay
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                console.log('Form data:', Object.fromEntries(formData));
-                resolve();
-            }, 1000);
-        });
-    }
-
-    showMessage(message, type) {
-        // Remove existing messages
-        const existingMessage = document.querySelector('.form-message');
-        if (existingMessage) {
-            existingMessage.remove();
-        }
-
-        // Create message element
-        const messageElement = document.createElement('div');
-        messageElement.className = `form-message ${type}`;
-        messageElement.textContent = message;
-
-        // Insert message before the form
-        this.form.parentNode.insertBefore(messageElement, this.form);
-
-        // Auto-remove message after 5 seconds
-        setTimeout(() => {
-            messageElement.remove();
-        }, 5000);
-    }
-}
-
-// ===== TYPING ANIMATION =====
-
-class TypingAnimation {
-    constructor() {
-        this.element = document.querySelector('.typing-text');
-        this.texts = [
-            'Full Stack Developer',
-            'AI Engineer',
-            'Python Expert',
-            'Django Specialist',
-            'Problem Solver'
-        ];
-        this.currentTextIndex = 0;
-        this.currentCharIndex = 0;
-        this.isDeleting = false;
-        this.typeSpeed = 100;
-        this.deleteSpeed = 50;
-        this.pauseDuration = 2000;
-
-        this.init();
-    }
-
-    init() {
-        if (this.element) {
-            this.type();
-        }
-    }
-
-    type() {
-        const currentText = this.texts[this.currentTextIndex];
-        
-        if (this.isDeleting) {
-            this.element.textContent = currentText.substring(0, this.currentCharIndex - 1);
-            this.currentCharIndex--;
-        } else {
-            this.element.textContent = currentText.substring(0, this.currentCharIndex + 1);
-            this.currentCharIndex++;
-        }
-
-        let typeSpeed = this.isDeleting ? this.deleteSpeed : this.typeSpeed;
-
-        if (!this.isDeleting && this.currentCharIndex === currentText.length) {
-            typeSpeed = this.pauseDuration;
-            this.isDeleting = true;
-        } else if (this.isDeleting && this.currentCharIndex === 0) {
-            this.isDeleting = false;
-            this.currentTextIndex = (this.currentTextIndex + 1) % this.texts.length;
-            typeSpeed = 500;
-        }
-
-        setTimeout(() => this.type(), typeSpeed);
-    }
-}
-
-// ===== SCROLL PROGRESS INDICATOR =====
-
-class ScrollProgress {
-    constructor() {
-        this.createProgressBar();
-        this.init();
-    }
-
-    createProgressBar() {
-        const progressBar = document.createElement('div');
-        progressBar.className = 'scroll-progress';
-        progressBar.innerHTML = '<div class="scroll-progress-bar"></div>';
-        document.body.appendChild(progressBar);
-        
-        this.progressBar = progressBar.querySelector('.scroll-progress-bar');
-    }
-
-    init() {
-        window.addEventListener('scroll', throttle(() => this.updateProgress(), 10));
-    }
-
-    updateProgress() {
-        const scrollTop = window.pageYOffset;
-        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const scrollPercent = (scrollTop / docHeight) * 100;
-        
-        this.progressBar.style.width = scrollPercent + '%';
-    }
-}
-
-// ===== LAZY LOADING IMAGES =====
-
-class LazyLoading {
-    constructor() {
-        this.images = document.querySelectorAll('img[data-src]');
-        this.init();
-    }
-
-    init() {
-        if (this.images.length > 0) {
-            this.setupIntersectionObserver();
-        }
-    }
-
-    setupIntersectionObserver() {
-        const imageObserver = new IntersectionObserver((entries, observer) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadImage(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
-        });
-
-        this.images.forEach(img => imageObserver.observe(img));
-    }
-
-    loadImage(img) {
-        img.src = img.dataset.src;
-        img.classList.add('loaded');
-        img.removeAttribute('data-src');
-    }
-}
-
-// ===== THEME TOGGLE (OPTIONAL DARK MODE) =====
-
-class ThemeToggle {
-    constructor() {
-        this.themeToggle = document.getElementById('theme-toggle');
-        this.currentTheme = localStorage.getItem('theme') || 'light';
-        this.init();
-    }
-
-    init() {
-        this.setTheme(this.currentTheme);
-        
-        if (this.themeToggle) {
-            this.themeToggle.addEventListener('click', () => this.toggleTheme());
-        }
-    }
-
-    toggleTheme() {
-        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(this.currentTheme);
-        localStorage.setItem('theme', this.currentTheme);
-    }
-
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        
-        if (this.themeToggle) {
-            const icon = this.themeToggle.querySelector('i');
-            if (icon) {
-                icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
-            }
-        }
-    }
-}
-
-// ===== PERFORMANCE MONITORING =====
-
-class PerformanceMonitor {
-    constructor() {
-        this.init();
-    }
-
-    init() {
-        // Monitor page load performance
-        window.addEventListener('load', () => {
-            this.measurePerformance();
-        });
-    }
-
-    measurePerformance() {
-        if ('performance' in window) {
-            const navigation = performance.getEntriesByType('navigation')[0];
-            const loadTime = navigation.loadEventEnd - navigation.loadEventStart;
-            
-            console.log(`Page load time: ${loadTime}ms`);
-            
-            // Send to analytics if needed
-            // this.sendToAnalytics('page_load_time', loadTime);
-        }
-    }
-
-    sendToAnalytics(event, value) {
-        // Implementation for sending data to analytics service
-        // Example: Google Analytics, custom analytics, etc.
-        console.log(`Analytics: ${event} = ${value}`);
-    }
-}
-
-// ===== MAIN INITIALIZATION =====
-
-class PortfolioApp {
-    constructor() {
-        this.components = [];
-        this.init();
-    }
-
-    init() {
-        // Wait for DOM to be fully loaded
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initializeComponents());
-        } else {
-            this.initializeComponents();
-        }
-    }
-
-    initializeComponents() {
-        try {
-            // Initialize all components
-            this.components.push(new Navigation());
-            this.components.push(new ScrollAnimations());
-            this.components.push(new BackToTop());
-            this.components.push(new ContactForm());
-            this.components.push(new ScrollProgress());
-            this.components.push(new LazyLoading());
-            this.components.push(new PerformanceMonitor());
-
-            // Optional components
-            if (document.querySelector('.typing-text')) {
-                this.components.push(new TypingAnimation());
-            }
-
-            if (document.getElementById('theme-toggle')) {
-                this.components.push(new ThemeToggle());
-            }
-
-            console.log('Portfolio app initialized successfully');
-        } catch (error) {
-            console.error('Error initializing portfolio app:', error);
-        }
-    }
-}
-
-// ===== ADDITIONAL UTILITY FUNCTIONS =====
-
-/**
- * Format date to readable string
- * @param {Date} date - Date object
- * @returns {string} Formatted date string
- */
-function formatDate(date) {
-    return new Intl.DateTimeFormat('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    }).format(date);
-}
-
-/**
- * Copy text to clipboard
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} Success status
- */
-async function copyToClipboard(text) {
-    try {
-        await navigator.clipboard.writeText(text);
-        return true;
-    } catch (error) {
-        console.error('Failed to copy to clipboard:', error);
-        return false;
-    }
-}
-
-/**
- * Show notification message
- * @param {string} message - Message to display
- * @param {string} type - Type of notification (success, error, info)
- * @param {number} duration - Duration in milliseconds
- */
-function showNotification(message, type = 'info', duration = 3000) {
-    const notification = document.createElement('div');
-    notification.className = `notification ${type}`;
-    notification.textContent = message;
-    
-    document.body.appendChild(notification);
-    
-    // Animate in
-    setTimeout(() => notification.classList.add('show'), 10);
-    
-    // Remove after duration
-    setTimeout(() => {
-        notification.classList.remove('show');
-        setTimeout(() => notification.remove(), 300);
-    }, duration);
-}
-
-// ===== CSS ADDITIONS FOR ENHANCED FEATURES =====
-
-// Add CSS for additional features that weren't in the main CSS file
-const additionalCSS = `
-/* Scroll Progress Bar */
-.scroll-progress {
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 3px;
-    background-color: rgba(37, 99, 235, 0.1);
-    z-index: 9999;
-}
-
-.scroll-progress-bar {
-    height: 100%;
-    background: linear-gradient(90deg, var(--primary-color), var(--accent-color));
-    width: 0%;
-    transition: width 0.1s ease-out;
-}
-
-/* Form Validation Styles */
-.form-group input.error,
-.form-group textarea.error {
-    border-color: #ef4444;
-    box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
-}
-
-.error-message {
-    display: block;
-    color: #ef4444;
-    font-size: var(--font-size-sm);
-    margin-top: var(--spacing-xs);
-}
-
-.form-message {
-    padding: var(--spacing-md);
-    border-radius: var(--border-radius-md);
-    margin-bottom: var(--spacing-lg);
-    font-weight: 500;
-}
-
-.form-message.success {
-    background-color: #dcfce7;
-    color: #166534;
-    border: 1px solid #bbf7d0;
-}
-
-.form-message.error {
-    background-color: #fef2f2;
-    color: #dc2626;
-    border: 1px solid #fecaca;
-}
-
-/* Notification Styles */
-.notification {
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    padding: var(--spacing-md) var(--spacing-lg);
-    background-color: var(--white);
-    border-radius: var(--border-radius-md);
-    box-shadow: var(--shadow-lg);
-    transform: translateX(100%);
-    transition: transform 0.3s ease-out;
-    z-index: 10000;
-}
-
-.notification.show {
-    transform: translateX(0);
-}
-
-.notification.success {
-    border-left: 4px solid #22c55e;
-}
-
-.notification.error {
-    border-left: 4px solid #ef4444;
-}
-
-.notification.info {
-    border-left: 4px solid var(--primary-color);
-}
-
-/* Lazy Loading Images */
-img[data-src] {
-    opacity: 0;
-    transition: opacity 0.3s ease-in-out;
-}
-
-img.loaded {
-    opacity: 1;
-}
-
-/* Animation Improvements */
-.animate-on-scroll {
-    transform: translateY(30px);
-}
-
-.animate-on-scroll.animate-fade-in-up {
-    opacity: 1;
-    transform: translateY(0);
-}
-
-.animate-on-scroll.animate-fade-in-left {
-    opacity: 1;
-    transform: translateX(0);
-}
-
-.animate-on-scroll.animate-fade-in-right {
-    opacity: 1;
-    transform: translateX(0);
-}
-`;
-
-// Inject additional CSS
-const styleSheet = document.createElement('style');
-styleSheet.textContent = additionalCSS;
-document.head.appendChild(styleSheet);
+import { PortfolioApp } from './app.js';
 
 // ===== INITIALIZE APPLICATION =====
 
 // Initialize the portfolio application
 const portfolioApp = new PortfolioApp();
 
-// Export for potential external use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        PortfolioApp,
-        Navigation,
-        ContactForm,
-        ScrollAnimations,
-        BackToTop,
-        copyToClipboard,
-        showNotification,
-        debounce,
-        throttle
-    };
-}
\ No newline at end of file
+// Module scope keeps this private; expose it for debugging from the console
+window.portfolioApp = portfolioApp;
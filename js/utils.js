@@ -0,0 +1,154 @@
+// ===== UTILITY FUNCTIONS =====
+
+import { getNotificationCenter } from './components/notification-center.js';
+
+/**
+ * Debounce function to limit the rate of function execution
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @param {boolean} immediate - Execute immediately
+ * @returns {Function} Debounced function
+ */
+export function debounce(func, wait, immediate) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            timeout = null;
+            if (!immediate) func(...args);
+        };
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        if (callNow) func(...args);
+    };
+}
+
+/**
+ * Throttle function to limit function execution frequency
+ * @param {Function} func - Function to throttle
+ * @param {number} limit - Time limit in milliseconds
+ * @returns {Function} Throttled function
+ */
+export function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Check if element is in viewport
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if element is visible
+ */
+export function isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return (
+        rect.top >= 0 &&
+        rect.left >= 0 &&
+        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+    );
+}
+
+/**
+ * Escape a string for safe interpolation into HTML markup
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a short, readable CSS selector for an element (for diagnostics only)
+ * @param {Node} element - Element to describe
+ * @returns {string} Selector such as "div#hero.hero-text", or an empty string
+ */
+export function getElementSelector(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+/**
+ * Get the active locale for Intl formatting
+ * @returns {string} BCP 47 tag; I18n keeps <html lang> in sync with the selected language
+ */
+export function getLocale() {
+    return document.documentElement.lang || 'en';
+}
+
+/**
+ * Format date to readable string in the active locale
+ * @param {Date} date - Date object
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date string
+ */
+export function formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+    return new Intl.DateTimeFormat(getLocale(), options).format(date);
+}
+
+/**
+ * Parse a timeline period such as "07/2022 - 07/2024" or "8/2017 - Present"
+ * @param {string} text - Period text in MM/YYYY or YYYY form
+ * @returns {{start: Date, end: Date|null}|null} Month-precision dates; end is null for "Present", null if unparseable
+ */
+export function parsePeriod(text) {
+    const [from, to] = String(text).split(/\s+[-\u2013\u2014]\s+/);
+    const start = parseMonthYear(from);
+    if (!start) return null;
+
+    if (!to || /^present$/i.test(to.trim())) {
+        return { start, end: null };
+    }
+
+    const end = parseMonthYear(to);
+    return end ? { start, end } : null;
+}
+
+function parseMonthYear(text) {
+    const match = /^\s*(?:(\d{1,2})\/)?(\d{4})\s*$/.exec(text || '');
+    if (!match) return null;
+
+    const month = match[1] ? Number(match[1]) - 1 : 0;
+    return month >= 0 && month < 12 ? new Date(Number(match[2]), month, 1) : null;
+}
+
+/**
+ * Copy text to clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Success status
+ */
+export async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.error('Failed to copy to clipboard:', error);
+        return false;
+    }
+}
+
+/**
+ * Show notification message through the shared NotificationCenter
+ * @param {string} message - Message to display
+ * @param {string} type - Type of notification (success, error, info)
+ * @param {number} duration - Duration in milliseconds; 0 keeps it until dismissed
+ * @param {Object} options - Extra NotificationCenter options (action, dismissible)
+ * @returns {{element: HTMLElement, dismiss: Function}} Handle for the toast
+ */
+export function showNotification(message, type = 'info', duration = 3000, options = {}) {
+    return getNotificationCenter().notify(message, { ...options, type, duration });
+}
@@ -0,0 +1,413 @@
+// ===== SEO BUILD =====
+// Generates sitemap.xml, robots.txt, the Open Graph/Twitter tags and the JSON-LD in
+// index.html from content.json and js/locales/en.js, so search and share previews
+// describe the same page visitors see.
+//
+// Usage: node scripts/build-seo.mjs [--base-url https://example.github.io/] [--check]
+//
+// The base URL comes from site.baseUrl in content.json. The hand-written canonical
+// link and every generated URL must agree with it, or the build fails without
+// writing anything. --check writes nothing and fails if the files are out of date.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : null;
+};
+
+const CHECK_ONLY = args.includes('--check');
+
+async function main() {
+    const content = JSON.parse(await read('content.json'));
+    const { default: en } = await import('../js/locales/en.js');
+    const meta = en.meta || {};
+    const html = await read('index.html');
+    const site = content.site || {};
+
+    const baseUrl = normalizeBaseUrl(option('base-url') || site.baseUrl);
+    const page = { baseUrl, site, meta, content, image: new URL(site.image || 'images/profile_no_bg.png', baseUrl).href };
+
+    let document = replaceRegion(html, 'seo:social', renderSocialTags(page));
+    document = replaceRegion(document, 'seo:structured-data', renderStructuredData(page));
+
+    const outputs = {
+        'index.html': document,
+        'sitemap.xml': renderSitemap(page),
+        'robots.txt': renderRobots(page)
+    };
+
+    // In --check mode the page on disk is what gets deployed, so validate that
+    const errors = validate(CHECK_ONLY ? html : document, baseUrl);
+    if (errors.length > 0) {
+        fail(`URLs in index.html disagree with the base URL ${baseUrl}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        return;
+    }
+
+    if (CHECK_ONLY) {
+        const stale = [];
+        for (const [path, output] of Object.entries(outputs)) {
+            if (await read(path).catch(() => null) !== output) stale.push(path);
+        }
+        if (stale.length > 0) {
+            fail(`Out of date: ${stale.join(', ')}. Run node scripts/build-seo.mjs`);
+            return;
+        }
+        console.log('SEO files are up to date');
+        return;
+    }
+
+    for (const [path, output] of Object.entries(outputs)) {
+        // Leave unchanged files alone
+        if (await read(path).catch(() => null) === output) continue;
+        await writeFile(join(ROOT, path), output);
+        console.log(`Wrote ${path}`);
+    }
+}
+
+// ----- Base URL and validation -----
+
+function normalizeBaseUrl(value) {
+    if (!value) {
+        throw new Error('No base URL: set site.baseUrl in content.json or pass --base-url');
+    }
+
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Base URL must be http(s): ${value}`);
+    }
+    if (url.search || url.hash) {
+        throw new Error(`Base URL must not have a query or fragment: ${value}`);
+    }
+    // The page lives at the directory root; resolve relative paths against that
+    if (!url.pathname.endsWith('/')) {
+        url.pathname += '/';
+    }
+    return url.href;
+}
+
+/**
+ * Check the canonical, Open Graph, Twitter and JSON-LD URLs of a page against the base URL
+ * @param {string} html - index.html source
+ * @param {string} baseUrl - Normalized base URL
+ * @returns {string[]} One message per problem
+ */
+function validate(html, baseUrl) {
+    const errors = [];
+    const tags = parseTags(html);
+
+    const canonicals = tags.filter(tag => tag.name === 'link' && tag.attributes.rel === 'canonical');
+    if (canonicals.length !== 1) {
+        errors.push(`expected one <link rel="canonical">, found ${canonicals.length}`);
+    }
+    canonicals.forEach(({ attributes }) => expectUrl(errors, 'canonical', attributes.href, baseUrl));
+
+    const metaContent = key => tags
+        .filter(tag => tag.name === 'meta' && (tag.attributes.property === key || tag.attributes.name === key))
+        .map(tag => tag.attributes.content);
+
+    const ogUrls = metaContent('og:url');
+    if (ogUrls.length !== 1) {
+        errors.push(`expected one og:url, found ${ogUrls.length}`);
+    }
+    ogUrls.forEach(url => expectUrl(errors, 'og:url', url, baseUrl));
+
+    ['og:image', 'twitter:image'].forEach(key => {
+        metaContent(key).forEach(url => expectUrl(errors, key, url, baseUrl, { prefix: true }));
+    });
+
+    structuredData(html).forEach((data, index) => {
+        if (data instanceof Error) {
+            errors.push(`JSON-LD block ${index + 1} is not valid JSON: ${data.message}`);
+        } else if (data['@type'] === 'Person') {
+            expectUrl(errors, 'JSON-LD Person url', data.url, baseUrl);
+        }
+    });
+
+    return errors;
+}
+
+function expectUrl(errors, label, value, baseUrl, { prefix = false } = {}) {
+    let url;
+    try {
+        // No base: crawlers need absolute URLs here
+        url = new URL(value).href;
+    } catch (error) {
+        errors.push(`${label} is not an absolute URL: ${value}`);
+        return;
+    }
+
+    if (prefix ? !url.startsWith(baseUrl) : url !== baseUrl) {
+        errors.push(`${label} is ${url}, expected ${prefix ? 'a URL under ' : ''}${baseUrl}`);
+    }
+}
+
+// ----- index.html -----
+
+function replaceRegion(html, name, body) {
+    const pattern = new RegExp(`(<!-- ${name}\\b[^>]*-->\\n)[\\s\\S]*?(\\n[ \\t]*<!-- /${name} -->)`);
+    if (!pattern.test(html)) {
+        throw new Error(`index.html has no <!-- ${name} --> ... <!-- /${name} --> region`);
+    }
+    return html.replace(pattern, (match, start, end) => `${start}${body}${end}`);
+}
+
+function renderSocialTags({ baseUrl, site, meta, image }) {
+    const title = meta.title || site.name;
+    const description = meta.personDescription || meta.description || '';
+    const tag = (attribute, key, value) => `    <meta ${attribute}="${key}" content="${escapeAttribute(value)}">`;
+
+    return [
+        '    <!-- Open Graph Meta Tags -->',
+        tag('property', 'og:title', title),
+        tag('property', 'og:description', description),
+        tag('property', 'og:type', 'website'),
+        tag('property', 'og:url', baseUrl),
+        tag('property', 'og:image', image),
+        tag('property', 'og:image:alt', site.name),
+        tag('property', 'og:site_name', site.siteName || site.name),
+        tag('property', 'og:locale', site.locale || 'en_US'),
+        '',
+        '    <!-- Twitter Card Meta Tags -->',
+        // The profile photo is square, which the large card would crop
+        tag('name', 'twitter:card', 'summary'),
+        tag('name', 'twitter:title', title),
+        tag('name', 'twitter:description', description),
+        tag('name', 'twitter:image', image),
+        tag('name', 'twitter:image:alt', site.name)
+    ].join('\n');
+}
+
+function renderStructuredData(page) {
+    // Person stays the first block: I18n and the résumé export read it
+    return [buildPerson(page), buildProjectList(page)]
+        // Escape "<" so no description can close the script element early
+        .map(data => JSON.stringify(data, null, 4).replace(/</g, '\\u003c'))
+        .map(json => `    <script type="application/ld+json">\n${indent(json, 4)}\n    </script>`)
+        .join('\n');
+}
+
+function buildPerson({ baseUrl, site, meta, content, image }) {
+    const experience = content.experience || [];
+    const current = experience.filter(job => /present/i.test(job.period || ''));
+    const currentCompanies = new Set(current.map(job => parseCompany(job.company).name));
+    // Skills from the skills section, then broader topics that aren't a single tool
+    const knowsAbout = unique([
+        ...(content.skills || []).flatMap(category => category.items.map(item => item.name)),
+        ...(site.topics || [])
+    ]);
+    const social = content.social || [];
+    const email = social.find(link => link.url.startsWith('mailto:'));
+
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        '@id': `${baseUrl}#person`,
+        name: site.name,
+        jobTitle: meta.jobTitle || (current[0] && current[0].title),
+        description: meta.personDescription,
+        url: baseUrl,
+        image
+    };
+
+    if (email) {
+        person.email = email.url.replace(/^mailto:/, '').split('?')[0];
+    }
+
+    if (current.length > 0) {
+        const company = parseCompany(current[0].company);
+        person.worksFor = organization(company);
+        person.workLocation = { '@type': 'Place', address: postalAddress(company) };
+    }
+
+    // Earlier employers, most recent first, as the hand-written markup had them
+    const previous = unique(experience
+        .map(job => job.company)
+        .filter(company => !currentCompanies.has(parseCompany(company).name)));
+    if (previous.length > 0) {
+        person.alumniOf = previous.map(company => organization(parseCompany(company)));
+    }
+
+    person.sameAs = social.filter(link => /^https?:/.test(link.url)).map(link => link.url);
+    person.knowsAbout = knowsAbout;
+
+    if (current.length > 0) {
+        person.hasOccupation = current.map(job => {
+            const company = parseCompany(job.company);
+            const text = [job.description, ...(job.achievements || [])].join(' ');
+            const skills = knowsAbout.filter(skill => skillPattern(skill).test(text));
+
+            return {
+                '@type': 'Occupation',
+                name: job.title,
+                description: job.description,
+                occupationLocation: { '@type': 'City', name: company.locality || company.name },
+                ...(skills.length > 0 ? { skills: skills.join(', ') } : {})
+            };
+        });
+    }
+
+    return person;
+}
+
+function buildProjectList({ baseUrl, content }) {
+    const projects = content.projects || [];
+    // Profile links aren't repositories; only real repository URLs become codeRepository
+    const profiles = new Set((content.social || []).map(link => link.url.replace(/\/$/, '')));
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        '@id': `${baseUrl}#projects`,
+        name: 'Projects',
+        numberOfItems: projects.length,
+        itemListElement: projects.map((project, index) => {
+            const source = project.links && project.links.source;
+            const demo = project.links && project.links.demo;
+            const item = {
+                '@type': 'SoftwareSourceCode',
+                name: project.title,
+                description: project.description,
+                // Case studies are deep-linkable dialogs on the page
+                url: `${baseUrl}#case-study-${project.id}`,
+                keywords: (project.tech || []).join(', '),
+                author: { '@id': `${baseUrl}#person` }
+            };
+
+            if (source && !profiles.has(source.replace(/\/$/, ''))) {
+                item.codeRepository = source;
+            }
+            if (demo) {
+                item.sameAs = demo;
+            }
+
+            return { '@type': 'ListItem', position: index + 1, item };
+        })
+    };
+}
+
+/**
+ * Split an experience "company" string such as "GALE Bengaluru, IN"
+ * @param {string} text - Company, city and country code
+ * @returns {{name: string, locality: string, country: string}}
+ */
+function parseCompany(text) {
+    const match = /^(.+?)\s+([^\s,]+),\s*([A-Z]{2})$/.exec((text || '').trim());
+    return match
+        ? { name: match[1], locality: match[2], country: match[3] }
+        : { name: (text || '').trim(), locality: '', country: '' };
+}
+
+function organization(company) {
+    return {
+        '@type': 'Organization',
+        name: company.name,
+        ...(company.locality ? { address: postalAddress(company) } : {})
+    };
+}
+
+function postalAddress({ locality, country }) {
+    return { '@type': 'PostalAddress', addressLocality: locality, addressCountry: country };
+}
+
+function skillPattern(name) {
+    // Same matching as the Skills component: "AWS (EC2, S3)" matches "AWS", "Java" doesn't match "JavaScript"
+    const term = name.replace(/\s*\(.*\)\s*/g, '').trim();
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i');
+}
+
+// ----- sitemap.xml and robots.txt -----
+
+// No <lastmod>: file mtimes and commit dates differ between clones, and the output
+// must be identical everywhere for --check to mean anything
+function renderSitemap({ baseUrl, image }) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+    <url>
+        <loc>${escapeXml(baseUrl)}</loc>
+        <image:image>
+            <image:loc>${escapeXml(image)}</image:loc>
+        </image:image>
+    </url>
+</urlset>
+`;
+}
+
+function renderRobots({ baseUrl }) {
+    return `User-agent: *
+Allow: /
+
+Sitemap: ${new URL('sitemap.xml', baseUrl).href}
+`;
+}
+
+// ----- Helpers -----
+
+function parseTags(html) {
+    return Array.from(html.matchAll(/<(meta|link)\b([^>]*)>/gi), ([, name, attributes]) => ({
+        name: name.toLowerCase(),
+        attributes: Object.fromEntries(Array.from(
+            attributes.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g),
+            ([, key, value]) => [key.toLowerCase(), unescapeAttribute(value)]
+        ))
+    }));
+}
+
+function structuredData(html) {
+    return Array.from(html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g), ([, json]) => {
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return error;
+        }
+    });
+}
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+function indent(text, spaces) {
+    const padding = ' '.repeat(spaces);
+    return text.split('\n').map(line => padding + line).join('\n');
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function unescapeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(value) {
+    return escapeAttribute(value).replace(/'/g, '&apos;');
+}
+
+function read(path) {
+    return readFile(join(ROOT, path), 'utf8');
+}
+
+function fail(message) {
+    console.error(message);
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    fail(error.message);
+});
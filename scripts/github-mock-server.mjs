@@ -0,0 +1,134 @@
+// ===== GITHUB API MOCK =====
+// Serves the two GitHub REST endpoints the portfolio reads, with ETags and a
+// simulated rate limit, so GitHubActivity can be exercised without network access.
+//
+// Usage: node scripts/github-mock-server.mjs [--port 4010] [--rate-limit 5]
+// Then point the section at it: <div class="github-activity" data-github-api="http://localhost:4010" ...>
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? Number(args[index + 1]) : fallback;
+};
+
+const PORT = option('port', 4010);
+// Full (non-304) responses allowed before the mock starts answering 403
+const RATE_LIMIT = option('rate-limit', 60);
+const RESET_AFTER_SECONDS = 60;
+
+// Taken from the request path so links in the fixtures point at the configured user
+let currentUser = 'octocat';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function repo(name, { description, language, stars, pushedDaysAgo, fork = false }) {
+    return {
+        name,
+        full_name: `${currentUser}/${name}`,
+        html_url: `https://github.com/${currentUser}/${name}`,
+        description,
+        language,
+        stargazers_count: stars,
+        fork,
+        archived: false,
+        pushed_at: daysAgo(pushedDaysAgo)
+    };
+}
+
+function event(type, repoName, createdDaysAgo, payload = {}) {
+    return {
+        id: `${type}-${repoName}-${createdDaysAgo}`,
+        type,
+        repo: { name: `${currentUser}/${repoName}` },
+        payload,
+        created_at: daysAgo(createdDaysAgo)
+    };
+}
+
+const fixtures = {
+    repos: () => [
+        repo('ai-booking-system', { description: 'Booking system with AI chat agents', language: 'Python', stars: 12, pushedDaysAgo: 2 }),
+        repo('rag-document-intelligence', { description: 'RAG pipeline for document search', language: 'Python', stars: 8, pushedDaysAgo: 9 }),
+        repo('portfolio', { description: 'Personal portfolio website', language: 'JavaScript', stars: 3, pushedDaysAgo: 1 }),
+        repo('django', { description: 'Fork of Django', language: 'Python', stars: 0, pushedDaysAgo: 30, fork: true })
+    ],
+    events: () => [
+        event('PushEvent', 'portfolio', 1, { size: 3 }),
+        event('PullRequestEvent', 'ai-booking-system', 2, { action: 'opened' }),
+        event('CreateEvent', 'rag-document-intelligence', 9, { ref_type: 'branch' }),
+        event('WatchEvent', 'portfolio', 12, { action: 'started' })
+    ]
+};
+
+let fullResponses = 0;
+let resetAt = 0;
+
+const server = createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Accept, If-None-Match');
+    response.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    const { pathname } = new URL(request.url, `http://localhost:${PORT}`);
+    const match = /^\/users\/([^/]+)\/(repos|events\/public)$/.exec(pathname);
+
+    if (request.method !== 'GET' || !match) {
+        send(response, 404, { message: 'Not Found' });
+        return;
+    }
+
+    currentUser = decodeURIComponent(match[1]);
+    const body = JSON.stringify(match[2] === 'repos' ? fixtures.repos() : fixtures.events());
+    // Hash without timestamps so the ETag only changes when the fixtures do
+    const etag = `"${createHash('sha1').update(body.replace(/"\d{4}-[^"]+Z"/g, '')).digest('hex')}"`;
+
+    if (request.headers['if-none-match'] === etag) {
+        // Conditional hits don't count against GitHub's limit
+        response.writeHead(304, { ETag: etag });
+        response.end();
+        log(request, 304);
+        return;
+    }
+
+    if (resetAt && Date.now() >= resetAt) {
+        fullResponses = 0;
+        resetAt = 0;
+    }
+
+    if (fullResponses >= RATE_LIMIT) {
+        resetAt = resetAt || Date.now() + RESET_AFTER_SECONDS * 1000;
+        response.setHeader('X-RateLimit-Remaining', '0');
+        response.setHeader('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+        send(response, 403, { message: 'API rate limit exceeded (mock)' });
+        log(request, 403);
+        return;
+    }
+
+    fullResponses++;
+    response.setHeader('ETag', etag);
+    response.setHeader('X-RateLimit-Limit', String(RATE_LIMIT));
+    response.setHeader('X-RateLimit-Remaining', String(RATE_LIMIT - fullResponses));
+    send(response, 200, body);
+    log(request, 200);
+});
+
+function send(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function log(request, status) {
+    console.log(`${status} ${request.method} ${request.url}`);
+}
+
+server.listen(PORT, () => {
+    console.log(`GitHub API mock listening on http://localhost:${PORT} (rate limit: ${RATE_LIMIT})`);
+});
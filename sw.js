@@ -0,0 +1,159 @@
+// ===== PORTFOLIO SERVICE WORKER =====
+// Offline caching for the portfolio shell
+// Pages, scripts, styles and data are fetched network-first, so a deploy shows up on the
+// next load; only images and fonts are served from the cache first. Bump CACHE_VERSION
+// when those change so visitors download them again.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `portfolio-runtime-${CACHE_VERSION}`;
+
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    './css/styles.css',
+    './css/resume.css',
+    './js/main.js',
+    './js/app.js',
+    './js/utils.js',
+    './js/components/analytics.js',
+    './js/components/back-to-top.js',
+    './js/components/component.js',
+    './js/components/consent-manager.js',
+    './js/components/contact-form.js',
+    './js/components/github-activity.js',
+    './js/components/i18n.js',
+    './js/components/lazy-loading.js',
+    './js/components/motion-preference.js',
+    './js/components/navigation.js',
+    './js/components/notification-center.js',
+    './js/components/performance-monitor.js',
+    './js/components/project-filter.js',
+    './js/components/project-modal.js',
+    './js/components/resume-export.js',
+    './js/components/scroll-animations.js',
+    './js/components/scroll-progress.js',
+    './js/components/scroll-scheduler.js',
+    './js/components/service-worker-manager.js',
+    './js/components/skills.js',
+    './js/components/theme-toggle.js',
+    './js/components/timeline.js',
+    './js/components/typing-animation.js',
+    './js/lib/contact-outbox.js',
+    './js/lib/contact-transports.js',
+    './js/lib/content-loader.js',
+    './js/lib/github-client.js',
+    './js/lib/resume.js',
+    './js/locales/en.js',
+    './content.json',
+    './locales/hi.json',
+    './images/profile_no_bg.png'
+];
+
+// Third-party hosts served stale-while-revalidate
+const CDN_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, RUNTIME_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('portfolio-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Files that never change under the same name without a CACHE_VERSION bump
+const CACHE_FIRST_DESTINATIONS = ['image', 'font'];
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event, './index.html'));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(
+            CACHE_FIRST_DESTINATIONS.includes(request.destination) ? cacheFirst(event) : networkFirst(event)
+        );
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// Refreshes the shell copy on every successful fetch and falls back to it offline
+async function networkFirst(event, cacheKey = event.request) {
+    const { request } = event;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(cacheKey, copy)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(cacheKey, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(event) {
+    const { request } = event;
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy)));
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Opaque (no-cors) responses report status 0 but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => cached || Promise.reject(error));
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+
+    return network;
+}
@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PortfolioApp } from '../js/app.js';
+import { createDom, readProjectFile, sleep } from './helpers/dom.js';
+
+describe('PortfolioApp', () => {
+    let app;
+    let errors;
+
+    beforeEach(() => {
+        createDom('', { html: readProjectFile('index.html') });
+
+        // content.json and the dictionaries come from disk; anything remote is a 404
+        mock.method(globalThis, 'fetch', async (url) => {
+            const path = String(url).replace(/^\.\//, '').split('?')[0];
+            try {
+                return new Response(readProjectFile(path), { status: 200 });
+            } catch (error) {
+                return new Response('{}', { status: 404 });
+            }
+        });
+
+        errors = [];
+        mock.method(console, 'error', (...args) => errors.push(args));
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        app.destroyAll();
+        mock.restoreAll();
+    });
+
+    it('initializes every registered component on the real page', async () => {
+        app = new PortfolioApp();
+        await sleep(200);
+
+        assert.ok(app.factories.size > 0);
+        assert.deepEqual(
+            Array.from(app.factories.keys()).filter(name => !app.get(name)),
+            [],
+            'components that failed to initialize'
+        );
+        assert.deepEqual(errors, []);
+    });
+
+    it('renders projects from content.json', async () => {
+        app = new PortfolioApp();
+        await sleep(200);
+
+        const content = JSON.parse(readProjectFile('content.json'));
+        assert.equal(document.querySelectorAll('.project-card').length, content.projects.length);
+    });
+});
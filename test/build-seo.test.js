@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const ROOT = fileURLToPath(new URL('../', import.meta.url));
+
+describe('scripts/build-seo.mjs', () => {
+    it('finds the committed SEO files up to date', async () => {
+        // --check writes nothing; a non-zero exit rejects with the script's output
+        const { stdout } = await run(process.execPath, ['scripts/build-seo.mjs', '--check'], { cwd: ROOT });
+        assert.match(stdout, /up to date/);
+    });
+});
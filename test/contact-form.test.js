@@ -0,0 +1,156 @@
+import { beforeEach, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ContactForm } from '../js/components/contact-form.js';
+import { createDom, sleep } from './helpers/dom.js';
+
+const FORM = `
+    <form id="contact-form" novalidate>
+        <div class="form-group">
+            <input type="text" id="contact-name" name="name" required>
+        </div>
+        <div class="form-group">
+            <input type="email" id="contact-email" name="email" required>
+        </div>
+        <div class="form-group">
+            <input type="email" id="contact-cc" name="cc">
+        </div>
+        <div class="form-group">
+            <textarea id="contact-message" name="message" minlength="10" required></textarea>
+        </div>
+        <button type="submit">Send Message</button>
+    </form>`;
+
+describe('ContactForm.validateField', () => {
+    let form;
+
+    beforeEach(() => {
+        createDom(FORM);
+        // A stub transport keeps the form away from mailto: and the outbox
+        form = new ContactForm({ transport: { send: async () => ({ delivered: true }) } });
+    });
+
+    afterEach(() => form.destroy());
+
+    const field = (id, value) => {
+        const element = document.getElementById(id);
+        element.value = value;
+        return element;
+    };
+
+    const errorsFor = element => element.parentNode.querySelectorAll('.error-message');
+
+    it('rejects an empty required field', () => {
+        const name = field('contact-name', '');
+
+        assert.equal(form.validateField(name), false);
+        assert.ok(name.classList.contains('error'));
+        assert.equal(errorsFor(name).length, 1);
+    });
+
+    it('falls back to the bundled English messages without an I18n', () => {
+        const name = field('contact-name', '');
+        form.validateField(name);
+        assert.equal(errorsFor(name)[0].textContent, 'This field is required');
+
+        const message = field('contact-message', 'short');
+        form.validateField(message);
+        assert.equal(errorsFor(message)[0].textContent, 'Minimum 10 characters required');
+    });
+
+    it('treats whitespace as empty', () => {
+        assert.equal(form.validateField(field('contact-name', '   ')), false);
+    });
+
+    it('accepts a filled required field and clears its error', () => {
+        const name = field('contact-name', '');
+        form.validateField(name);
+
+        name.value = 'Ada';
+        assert.equal(form.validateField(name), true);
+        assert.equal(name.classList.contains('error'), false);
+        assert.equal(errorsFor(name).length, 0);
+    });
+
+    it('checks the email format', () => {
+        assert.equal(form.validateField(field('contact-email', 'ada@example')), false);
+        assert.equal(form.validateField(field('contact-email', 'ada example.com')), false);
+        assert.equal(form.validateField(field('contact-email', 'ada@example.com')), true);
+    });
+
+    it('allows an optional email field to stay empty', () => {
+        assert.equal(form.validateField(field('contact-cc', '')), true);
+    });
+
+    it('enforces minlength on the trimmed value', () => {
+        assert.equal(form.validateField(field('contact-message', '  short   ')), false);
+        assert.equal(form.validateField(field('contact-message', 'Long enough message')), true);
+    });
+
+    it('shows one message per field when validated repeatedly', () => {
+        const email = field('contact-email', 'nope');
+        form.validateField(email);
+        form.validateField(email);
+
+        assert.equal(errorsFor(email).length, 1);
+    });
+
+    it('validates every required field on submit', () => {
+        assert.equal(form.validateForm(), false);
+        assert.equal(document.querySelectorAll('.error-message').length, 3);
+    });
+});
+
+describe('ContactForm outbox', () => {
+    let form;
+    let notices;
+
+    const createOutbox = entries => ({
+        entries: [...entries],
+        async getAll() { return [...this.entries]; },
+        async remove(id) { this.entries = this.entries.filter(entry => entry.id !== id); },
+        async count() { return this.entries.length; },
+        close() {}
+    });
+
+    const createForm = (outbox, send) => {
+        notices = [];
+        form = new ContactForm({
+            transport: { send },
+            outbox,
+            notifications: { isDestroyed: false, notify: (message, options) => notices.push({ message, ...options }) }
+        });
+    };
+
+    beforeEach(() => createDom(FORM));
+    afterEach(() => form.destroy());
+
+    it('tells the visitor when a queued message is rejected', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const outbox = createOutbox([{ id: 1, data: {} }, { id: 2, data: {} }]);
+        createForm(outbox, async () => {
+            throw Object.assign(new Error('Rejected'), { retryable: false });
+        });
+        await sleep(10);
+
+        assert.equal(outbox.entries.length, 0);
+        assert.deepEqual(notices, [{
+            message: '2 saved messages were rejected and could not be sent. Please send them again or email me directly.',
+            type: 'error',
+            duration: 0
+        }]);
+    });
+
+    it('keeps messages queued and reports them while offline', async (t) => {
+        t.mock.getter(navigator, 'onLine', () => false);
+        const outbox = createOutbox([{ id: 1, data: {} }]);
+        let sends = 0;
+        createForm(outbox, async () => sends++);
+        await sleep(10);
+
+        assert.equal(sends, 0);
+        assert.equal(outbox.entries.length, 1);
+        assert.equal(notices.length, 1);
+        assert.equal(notices[0].message, "1 message waiting to be sent. Retrying when you're back online.");
+    });
+});
@@ -0,0 +1,189 @@
+import { beforeEach, afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GitHubActivity } from '../js/components/github-activity.js';
+import { GitHubApiError, GitHubClient } from '../js/lib/github-client.js';
+import { createDom, sleep } from './helpers/dom.js';
+
+const REPOS = [
+    {
+        name: 'ai-booking',
+        html_url: 'https://github.com/ada/ai-booking',
+        description: 'Booking assistant',
+        language: 'Python',
+        stargazers_count: 12,
+        pushed_at: '2024-05-02T10:00:00Z',
+        fork: false,
+        archived: false
+    }
+];
+
+const EVENTS = [
+    { type: 'PushEvent', repo: { name: 'ada/ai-booking' }, payload: { size: 2 }, created_at: '2024-05-02T10:00:00Z' }
+];
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const json = (body, init = {}) => new Response(JSON.stringify(body), {
+    status: 200,
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+});
+
+describe('GitHubClient', () => {
+    let storage;
+    let requests;
+
+    // Answers each request with the next response, recording the headers it was sent
+    const respond = (...responses) => {
+        mock.method(globalThis, 'fetch', async (url, options) => {
+            requests.push({ url, headers: options.headers });
+            return responses.shift();
+        });
+    };
+
+    beforeEach(() => {
+        storage = createStorage();
+        requests = [];
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('serves fresh cache without a request', async () => {
+        respond(json(REPOS, { headers: { ETag: '"v1"' } }));
+        const client = new GitHubClient({ storage });
+
+        await client.get('/users/ada/repos');
+        const result = await client.get('/users/ada/repos');
+
+        assert.equal(requests.length, 1);
+        assert.deepEqual(result, { data: REPOS, stale: false, error: null });
+    });
+
+    it('revalidates expired cache with the ETag and reuses it on 304', async () => {
+        respond(json(REPOS, { headers: { ETag: '"v1"' } }), new Response(null, { status: 304 }));
+        const client = new GitHubClient({ storage, ttl: 0 });
+
+        await client.get('/users/ada/repos');
+        const result = await client.get('/users/ada/repos');
+
+        assert.equal(requests[0].headers['If-None-Match'], undefined);
+        assert.equal(requests[1].headers['If-None-Match'], '"v1"');
+        assert.deepEqual(result, { data: REPOS, stale: false, error: null });
+    });
+
+    it('falls back to stale cache when the rate limit is hit and stops asking until the reset', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 600;
+        respond(
+            json(REPOS, { headers: { ETag: '"v1"' } }),
+            json({ message: 'API rate limit exceeded' }, {
+                status: 403,
+                headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) }
+            })
+        );
+        const client = new GitHubClient({ storage, ttl: 0 });
+
+        await client.get('/users/ada/repos');
+        const limited = await client.get('/users/ada/repos');
+        const again = await client.get('/users/ada/repos');
+
+        assert.equal(limited.stale, true);
+        assert.deepEqual(limited.data, REPOS);
+        assert.equal(limited.error.code, 'rate_limited');
+        assert.equal(limited.error.resetAt, reset * 1000);
+        assert.equal(again.error.code, 'rate_limited');
+        assert.equal(requests.length, 2);
+    });
+
+    it('rejects a 429 without cache, honouring Retry-After', async () => {
+        respond(json({}, { status: 429, headers: { 'Retry-After': '30' } }));
+        const client = new GitHubClient({ storage });
+        const before = Date.now();
+
+        await assert.rejects(client.get('/users/ada/events/public'), error => {
+            assert.ok(error instanceof GitHubApiError);
+            assert.equal(error.code, 'rate_limited');
+            assert.equal(error.status, 429);
+            assert.ok(error.resetAt >= before + 30 * 1000);
+            return true;
+        });
+    });
+
+    it('does not treat a plain 403 as a rate limit', async () => {
+        respond(json({ message: 'Forbidden' }, { status: 403 }));
+        const client = new GitHubClient({ storage });
+
+        await assert.rejects(client.get('/users/ada/repos'), { code: 'http', status: 403 });
+    });
+});
+
+describe('GitHubActivity', () => {
+    let activity;
+
+    const PAGE = `
+        <div class="project-card" id="project-booking">
+            <div class="project-links">
+                <a href="https://github.com/ada" aria-label="View Source Code" data-link="source"></a>
+            </div>
+            <div class="project-content"><h3 class="project-title">AI Booking</h3></div>
+        </div>
+        <div class="github-activity" data-github-user="ada" hidden>
+            <p class="github-status" hidden></p>
+            <ul class="github-repos"></ul>
+            <ul class="github-events"></ul>
+        </div>`;
+
+    const load = async (...responses) => {
+        mock.method(globalThis, 'fetch', async url => responses.find(([path]) => String(url).includes(path))[1]());
+        activity = new GitHubActivity({
+            client: new GitHubClient({ storage: createStorage() }),
+            repos: { booking: 'AI-Booking' }
+        });
+        await sleep(10);
+    };
+
+    beforeEach(() => createDom(PAGE));
+
+    afterEach(() => {
+        activity.destroy();
+        mock.restoreAll();
+    });
+
+    it('points the project card at its repository and lists recent activity', async () => {
+        await load(['/repos', () => json(REPOS)], ['/events', () => json(EVENTS)]);
+
+        const card = document.getElementById('project-booking');
+        assert.equal(card.querySelector('[data-link="source"]').href, 'https://github.com/ada/ai-booking');
+        assert.match(card.querySelector('.repo-stats').textContent, /12 stars/);
+        assert.equal(document.querySelectorAll('.github-repos .github-repo').length, 1);
+        assert.equal(document.querySelectorAll('.github-events .github-event').length, 1);
+        assert.equal(document.querySelector('.github-activity').hidden, false);
+        assert.equal(document.querySelector('.github-status').hidden, true);
+    });
+
+    it('explains a rate limit in the status line', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        await load(
+            ['/repos', () => json(REPOS)],
+            ['/events', () => json({}, { status: 429, headers: { 'Retry-After': '60' } })]
+        );
+
+        const status = document.querySelector('.github-status');
+        assert.equal(status.hidden, false);
+        assert.match(status.textContent, /request limit reached/);
+    });
+
+    it('restores the card link on destroy', async () => {
+        await load(['/repos', () => json(REPOS)], ['/events', () => json(EVENTS)]);
+        activity.destroy();
+
+        assert.equal(document.querySelector('[data-link="source"]').getAttribute('href'), 'https://github.com/ada');
+    });
+});
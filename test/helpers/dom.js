@@ -0,0 +1,150 @@
+// ===== JSDOM TEST ENVIRONMENT =====
+// Each test gets a fresh window whose globals replace Node's, so the browser modules
+// under js/ run unchanged. jsdom lacks layout and observers; the stand-ins below
+// let tests drive them by hand.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const ROOT = new URL('../../', import.meta.url);
+
+// Globals the modules reach for; AbortController and the event classes must come from
+// the same window, or jsdom rejects listener signals and dispatched events
+const GLOBALS = [
+    'window',
+    'document',
+    'navigator',
+    'location',
+    'history',
+    'localStorage',
+    'HTMLElement',
+    'HTMLDialogElement',
+    'Node',
+    'Event',
+    'CustomEvent',
+    'KeyboardEvent',
+    'MouseEvent',
+    'FormData',
+    'AbortController',
+    'AbortSignal',
+    'IntersectionObserver',
+    'ResizeObserver',
+    'requestAnimationFrame',
+    'cancelAnimationFrame',
+    'getComputedStyle',
+    'matchMedia'
+];
+
+/**
+ * IntersectionObserver that only reports what a test tells it to
+ */
+export class FakeIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+    }
+
+    /**
+     * Report targets as entering (or leaving) the root, as the browser would after a scroll
+     * @param {Element[]} targets - Observed elements
+     * @param {boolean} isIntersecting - Whether they now intersect
+     */
+    trigger(targets, isIntersecting = true) {
+        const entries = targets
+            .filter(target => this.targets.has(target))
+            .map(target => ({ target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }));
+        this.callback(entries, this);
+    }
+}
+
+/**
+ * Read a file relative to the repository root
+ * @param {string} path - e.g. "index.html"
+ * @returns {string} File contents
+ */
+export function readProjectFile(path) {
+    return readFileSync(new URL(path, ROOT), 'utf8');
+}
+
+/**
+ * Create a window and install it as the global environment
+ * @param {string} body - Markup for <body>, ignored when options.html is given
+ * @param {Object} options - Options
+ * @param {string} options.html - Whole document instead of a body fragment
+ * @param {string} options.url - Page URL
+ * @returns {{window: Window, document: Document}}
+ */
+export function createDom(body = '', { html = null, url = 'https://example.test/' } = {}) {
+    const dom = new JSDOM(html || `<!DOCTYPE html><html lang="en"><head></head><body>${body}</body></html>`, {
+        url,
+        pretendToBeVisual: true,
+        // Page scripts never run; tests may still evaluate code such as axe-core in the window
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    window.matchMedia = media => ({
+        matches: false,
+        media,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    FakeIntersectionObserver.instances = [];
+    window.IntersectionObserver = FakeIntersectionObserver;
+    window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+    };
+    // jsdom has no scrolling; record calls instead
+    window.scrollCalls = [];
+    window.scrollTo = (options) => window.scrollCalls.push(options);
+
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+
+    return { window, document: window.document };
+}
+
+/**
+ * Stand-in for ScrollScheduler: tests call emit() instead of scrolling
+ * @returns {{subscribe: Function, emit: Function}}
+ */
+export function createScroller() {
+    const callbacks = new Set();
+
+    return {
+        subscribe(callback) {
+            callbacks.add(callback);
+            return () => callbacks.delete(callback);
+        },
+        emit(scrollY) {
+            callbacks.forEach(callback => callback(scrollY));
+        }
+    };
+}
+
+/**
+ * Resolve after a real-time delay
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,64 @@
+import { beforeEach, afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { I18n, translate } from '../js/components/i18n.js';
+import { createDom } from './helpers/dom.js';
+
+const SWITCHER = `
+    <select id="language-select">
+        <option value="en">English</option>
+        <option value="hi">हिन्दी</option>
+    </select>
+    <h2 data-i18n="nav.about">About</h2>`;
+
+describe('translate', () => {
+    it('uses the bundled English without an I18n', () => {
+        assert.equal(translate(null, 'contact.validation.required'), 'This field is required');
+    });
+
+    it('fills placeholders and picks the plural form', () => {
+        assert.equal(translate(null, 'contact.validation.minLength', { count: 10 }), 'Minimum 10 characters required');
+        assert.equal(translate(null, 'github.stars', { count: 1 }), '1 star');
+        assert.equal(translate(null, 'github.stars', { count: 3 }), '3 stars');
+    });
+
+    it('returns the key when English has no entry', () => {
+        assert.equal(translate(null, 'missing.key'), 'missing.key');
+    });
+});
+
+describe('I18n', () => {
+    let i18n;
+
+    beforeEach(() => {
+        createDom(SWITCHER);
+        localStorage.setItem('locale', 'hi');
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        i18n.destroy();
+        mock.restoreAll();
+    });
+
+    it('falls back to English when no dictionary can be fetched', async () => {
+        mock.method(globalThis, 'fetch', async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        i18n = await new I18n().load();
+
+        assert.equal(i18n.locale, 'hi');
+        assert.equal(i18n.t('contact.validation.required'), 'This field is required');
+        assert.equal(translate(i18n, 'nav.about'), 'About');
+    });
+
+    it('falls back to English for keys a locale lacks', async () => {
+        mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ nav: { about: 'परिचय' } })));
+
+        i18n = await new I18n().load();
+
+        assert.equal(document.querySelector('[data-i18n]').textContent, 'परिचय');
+        assert.equal(i18n.t('nav.home'), 'Home');
+    });
+});
@@ -0,0 +1,14 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+describe('js/index.js', () => {
+    it('imports without a DOM, so nothing runs on import', async () => {
+        assert.equal(typeof globalThis.document, 'undefined');
+
+        const api = await import('../js/index.js');
+
+        assert.equal(typeof api.PortfolioApp, 'function');
+        assert.equal(typeof api.debounce, 'function');
+        assert.equal(typeof globalThis.portfolioApp, 'undefined');
+    });
+});
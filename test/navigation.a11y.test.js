@@ -0,0 +1,99 @@
+import { beforeEach, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import axe from 'axe-core';
+
+import { Navigation } from '../js/components/navigation.js';
+import { createDom, createScroller, readProjectFile } from './helpers/dom.js';
+
+// jsdom has no layout or rendering, so rules that need computed colors can't run here
+const AXE_OPTIONS = {
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+async function audit(selector) {
+    if (!window.axe) {
+        window.eval(axe.source);
+    }
+
+    // Array.from brings the result over from the window's realm so deepEqual can compare it
+    const { violations } = await window.axe.run(document.querySelector(selector), AXE_OPTIONS);
+    return Array.from(violations, violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+function press(key, { shiftKey = false } = {}) {
+    const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+}
+
+describe('Navigation accessibility', () => {
+    let navigation;
+    let toggle;
+    let links;
+
+    beforeEach(() => {
+        // The shipped markup, so the audit covers what visitors get
+        createDom('', { html: readProjectFile('index.html') });
+        navigation = new Navigation(null, createScroller());
+        toggle = document.getElementById('nav-toggle');
+        links = Array.from(document.querySelectorAll('.nav-link'));
+    });
+
+    afterEach(() => navigation.destroy());
+
+    it('has no axe violations with the menu closed', async () => {
+        assert.deepEqual(await audit('#navbar'), []);
+    });
+
+    it('has no axe violations with the menu open', async () => {
+        toggle.click();
+        assert.deepEqual(await audit('#navbar'), []);
+    });
+
+    it('reports the menu state on the toggle', () => {
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(document.activeElement, links[0]);
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    });
+
+    it('traps Tab in DOM order: the links, then the toggle', () => {
+        toggle.click();
+
+        links.slice(1).forEach(link => {
+            assert.equal(press('Tab').defaultPrevented, true);
+            assert.equal(document.activeElement, link);
+        });
+
+        press('Tab');
+        assert.equal(document.activeElement, toggle);
+
+        press('Tab');
+        assert.equal(document.activeElement, links[0]);
+    });
+
+    it('moves Shift+Tab backwards from the first link to the toggle', () => {
+        toggle.click();
+
+        assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+        assert.equal(document.activeElement, toggle);
+
+        press('Tab', { shiftKey: true });
+        assert.equal(document.activeElement, links.at(-1));
+    });
+
+    it('closes on Escape and returns focus to the toggle', () => {
+        toggle.click();
+
+        assert.equal(press('Escape').defaultPrevented, true);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(document.activeElement, toggle);
+    });
+
+    it('leaves Tab alone while the menu is closed', () => {
+        toggle.focus();
+        assert.equal(press('Tab').defaultPrevented, false);
+    });
+});
@@ -0,0 +1,127 @@
+import { beforeEach, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Navigation } from '../js/components/navigation.js';
+import { FakeIntersectionObserver, createDom, createScroller } from './helpers/dom.js';
+
+const PAGE = `
+    <nav class="navbar" id="navbar">
+        <div class="nav-menu" id="nav-menu">
+            <a href="#home" class="nav-link">Home</a>
+            <a href="#about" class="nav-link">About</a>
+            <a href="#skills" class="nav-link">Skills</a>
+        </div>
+        <button type="button" class="nav-toggle" id="nav-toggle" aria-controls="nav-menu" aria-expanded="false">Menu</button>
+    </nav>
+    <section id="home"></section>
+    <section id="about"></section>
+    <section id="skills"></section>
+    <section id="unlinked"></section>`;
+
+describe('Navigation active link', () => {
+    let navigation;
+    let spy;
+    let views;
+
+    beforeEach(() => {
+        createDom(PAGE);
+        views = [];
+        document.addEventListener('portfolio:sectionview', e => views.push(e.detail.section));
+
+        navigation = new Navigation(null, createScroller());
+        spy = FakeIntersectionObserver.instances.at(-1);
+    });
+
+    afterEach(() => navigation.destroy());
+
+    const enter = id => spy.trigger([document.getElementById(id)]);
+    const activeLinks = () => Array.from(document.querySelectorAll('.nav-link.active'), link => link.getAttribute('href'));
+
+    it('observes every section with an id', () => {
+        assert.equal(spy.targets.size, 4);
+    });
+
+    it('marks the link of the section crossing the line below the navbar', () => {
+        enter('about');
+
+        assert.deepEqual(activeLinks(), ['#about']);
+        assert.equal(document.querySelector('.nav-link[href="#about"]').getAttribute('aria-current'), 'location');
+        assert.equal(document.querySelectorAll('[aria-current]').length, 1);
+    });
+
+    it('moves the active state when another section enters', () => {
+        enter('about');
+        enter('skills');
+
+        assert.deepEqual(activeLinks(), ['#skills']);
+        assert.equal(document.querySelector('.nav-link[href="#about"]').hasAttribute('aria-current'), false);
+    });
+
+    it('ignores sections leaving the line', () => {
+        enter('about');
+        spy.trigger([document.getElementById('skills')], false);
+
+        assert.deepEqual(activeLinks(), ['#about']);
+    });
+
+    it('clears the links for a section without one', () => {
+        enter('about');
+        enter('unlinked');
+
+        assert.deepEqual(activeLinks(), []);
+    });
+
+    it('announces each new section once', () => {
+        enter('about');
+        enter('about');
+        enter('skills');
+
+        assert.deepEqual(views, ['about', 'skills']);
+    });
+
+    it('reflects manual scrolling in the URL after the first section', () => {
+        enter('home');
+        assert.equal(location.hash, '');
+
+        const length = history.length;
+        enter('about');
+
+        assert.equal(location.hash, '#about');
+        assert.equal(history.length, length, 'replaceState, not a new history entry');
+    });
+
+    it('leaves the URL alone while a link click is scrolling', () => {
+        enter('home');
+        document.querySelector('.nav-link[href="#skills"]').click();
+        assert.equal(location.hash, '#skills');
+
+        // Sections passed on the way must not overwrite the clicked hash
+        enter('about');
+        assert.equal(location.hash, '#skills');
+        assert.deepEqual(activeLinks(), ['#about']);
+    });
+});
+
+describe('Navigation menu toggle', () => {
+    let navigation;
+    let toggle;
+
+    beforeEach(() => {
+        createDom(PAGE);
+        navigation = new Navigation(null, createScroller());
+        toggle = document.getElementById('nav-toggle');
+    });
+
+    afterEach(() => navigation.destroy());
+
+    it('names the action it will take', () => {
+        assert.equal(toggle.getAttribute('aria-label'), 'Open navigation menu');
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(toggle.getAttribute('aria-label'), 'Close navigation menu');
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-label'), 'Open navigation menu');
+    });
+});
@@ -0,0 +1,66 @@
+import { beforeEach, afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { I18n } from '../js/components/i18n.js';
+import { ProjectFilter } from '../js/components/project-filter.js';
+import { createDom, readProjectFile } from './helpers/dom.js';
+
+const PAGE = `
+    <select id="language-select">
+        <option value="en">English</option>
+        <option value="hi">हिन्दी</option>
+    </select>
+    <div class="projects-grid">
+        <article class="project-card">
+            <h3 class="project-title">Booking system</h3>
+            <p class="project-description">AI agents for bookings</p>
+            <span class="tech-tag">Django</span>
+        </article>
+        <article class="project-card">
+            <h3 class="project-title">Video platform</h3>
+            <p class="project-description">Generated videos</p>
+            <span class="tech-tag">FFmpeg</span>
+        </article>
+    </div>`;
+
+describe('ProjectFilter', () => {
+    let filter;
+    let i18n;
+
+    beforeEach(() => {
+        createDom(PAGE);
+        mock.method(globalThis, 'fetch', async url => new Response(readProjectFile(String(url).replace(/^\.\//, ''))));
+    });
+
+    afterEach(() => {
+        filter.destroy();
+        if (i18n) i18n.destroy();
+        mock.restoreAll();
+    });
+
+    const chip = tag => document.querySelector(`.filter-chip[data-tag="${tag}"]`);
+    const status = () => document.querySelector('.project-filter-status').textContent;
+
+    it('labels its controls in English without an I18n', () => {
+        filter = new ProjectFilter();
+
+        assert.equal(document.querySelector('.project-filter-search input').placeholder, 'Search projects...');
+        assert.equal(document.querySelector('.project-filter-clear').textContent, 'Clear');
+
+        chip('Django').click();
+        assert.equal(status(), 'Showing 1 of 2 projects');
+    });
+
+    it('follows the selected language', async () => {
+        i18n = await new I18n().load();
+        filter = new ProjectFilter(i18n);
+        chip('Django').click();
+
+        await i18n.setLocale('hi');
+
+        const hi = JSON.parse(readProjectFile('locales/hi.json')).projects.filter;
+        assert.equal(document.querySelector('.project-filter-search input').placeholder, hi.searchPlaceholder);
+        assert.equal(document.querySelector('.project-filter-clear').textContent, hi.clear);
+        assert.equal(status(), hi.showing.one.replace('{count}', 1).replace('{total}', 2));
+    });
+});
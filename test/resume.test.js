@@ -0,0 +1,45 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractResume } from '../js/lib/resume.js';
+import { createDom } from './helpers/dom.js';
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <link rel="canonical" href="https://ada.example/">
+    <script type="application/ld+json">
+        {"@type": "Person", "workLocation": {"address": {"addressLocality": "London", "addressCountry": "GB"}}}
+    </script>
+</head>
+<body>
+    <section id="home">
+        <h1 class="hero-title"><span class="highlight">Ada Lovelace</span></h1>
+    </section>
+</body>
+</html>`;
+
+describe('extractResume', () => {
+    beforeEach(() => {
+        // The live page has neither a canonical link nor structured data
+        createDom('<main></main>');
+    });
+
+    it('reads the canonical URL and location from the document it is given', () => {
+        const page = new window.DOMParser().parseFromString(PAGE, 'text/html');
+        const resume = extractResume(page);
+
+        assert.equal(resume.basics.name, 'Ada Lovelace');
+        assert.equal(resume.basics.url, 'https://ada.example/');
+        assert.equal(resume.meta.canonical, 'https://ada.example/');
+        assert.deepEqual(resume.basics.location, { city: 'London', countryCode: 'GB' });
+    });
+
+    it('looks up page metadata from the document of a section root', () => {
+        const page = new window.DOMParser().parseFromString(PAGE, 'text/html');
+        const resume = extractResume(page.getElementById('home'));
+
+        assert.equal(resume.basics.url, 'https://ada.example/');
+        assert.equal(resume.basics.location.city, 'London');
+    });
+});
@@ -0,0 +1,231 @@
+// ===== SCROLL BENCHMARK =====
+// Compares the main-thread work done per scroll event by the scroll-linked components
+// before and after ScrollScheduler: the baseline's four throttled scroll listeners
+// against the shared requestAnimationFrame scheduler and the IntersectionObserver
+// scroll-spy. Both run against the shipped index.html in jsdom.
+//
+// Usage: npm run bench [-- --events 300 --interval 16]
+//
+// jsdom has no layout engine, so layout reads cost nothing here and the times cover
+// script work only. The read counts are what matter: in a browser, each read after a
+// style change forces a synchronous layout. jsdom never reports intersections either,
+// so the scroll-spy's IntersectionObserver callbacks, which run only when a section
+// crosses the line below the navbar, are not part of the current numbers.
+
+import { performance } from 'node:perf_hooks';
+
+import { BackToTop } from '../js/components/back-to-top.js';
+import { Navigation } from '../js/components/navigation.js';
+import { ScrollProgress } from '../js/components/scroll-progress.js';
+import { ScrollScheduler } from '../js/components/scroll-scheduler.js';
+import { createDom, readProjectFile, sleep } from './helpers/dom.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? Number(args[index + 1]) : fallback;
+};
+
+const EVENTS = option('events', 300);
+// Browsers fire at most one scroll event per frame
+const INTERVAL = option('interval', 16);
+
+// Properties and methods that make the browser flush layout before answering
+const LAYOUT_READS = {
+    HTMLElement: ['offsetTop', 'offsetLeft', 'offsetWidth', 'offsetHeight', 'offsetParent'],
+    Element: ['clientTop', 'clientLeft', 'clientWidth', 'clientHeight', 'scrollTop', 'scrollLeft', 'scrollWidth', 'scrollHeight'],
+    ElementMethods: ['getBoundingClientRect', 'getClientRects']
+};
+
+// ----- Baseline (js/main.js before the scroll scheduler) -----
+
+function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+class BaselineNavigation {
+    constructor() {
+        this.navbar = document.getElementById('navbar');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        window.addEventListener('scroll', throttle(() => this.updateActiveLink(), 100));
+        window.addEventListener('scroll', throttle(() => this.handleNavbarScroll(), 100));
+    }
+
+    updateActiveLink() {
+        const sections = document.querySelectorAll('section[id]');
+        const scrollPos = window.scrollY + 100;
+
+        sections.forEach(section => {
+            const sectionTop = section.offsetTop;
+            const sectionBottom = sectionTop + section.offsetHeight;
+            const sectionId = section.getAttribute('id');
+            const correspondingLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
+
+            if (scrollPos >= sectionTop && scrollPos < sectionBottom) {
+                this.navLinks.forEach(link => link.classList.remove('active'));
+                if (correspondingLink) {
+                    correspondingLink.classList.add('active');
+                }
+            }
+        });
+    }
+
+    handleNavbarScroll() {
+        if (window.scrollY > 100) {
+            this.navbar.classList.add('scrolled');
+        } else {
+            this.navbar.classList.remove('scrolled');
+        }
+    }
+}
+
+class BaselineBackToTop {
+    constructor() {
+        this.button = document.getElementById('back-to-top');
+        window.addEventListener('scroll', throttle(() => this.toggleVisibility(), 100));
+    }
+
+    toggleVisibility() {
+        if (window.scrollY > 300) {
+            this.button.classList.add('visible');
+        } else {
+            this.button.classList.remove('visible');
+        }
+    }
+}
+
+class BaselineScrollProgress {
+    constructor() {
+        const progressBar = document.createElement('div');
+        progressBar.className = 'scroll-progress';
+        progressBar.innerHTML = '<div class="scroll-progress-bar"></div>';
+        document.body.appendChild(progressBar);
+        this.progressBar = progressBar.querySelector('.scroll-progress-bar');
+        window.addEventListener('scroll', throttle(() => this.updateProgress(), 10));
+    }
+
+    updateProgress() {
+        const scrollTop = window.pageYOffset;
+        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+        this.progressBar.style.width = (scrollTop / docHeight) * 100 + '%';
+    }
+}
+
+const IMPLEMENTATIONS = {
+    baseline: () => {
+        new BaselineNavigation();
+        new BaselineBackToTop();
+        new BaselineScrollProgress();
+    },
+    current: () => {
+        const scroller = new ScrollScheduler();
+        new Navigation(null, scroller);
+        new BackToTop(null, scroller);
+        new ScrollProgress(null, scroller);
+    }
+};
+
+// ----- Instrumentation -----
+
+function instrument(window, stats) {
+    const count = (target, name) => {
+        const descriptor = Object.getOwnPropertyDescriptor(target, name);
+        if (descriptor.get) {
+            Object.defineProperty(target, name, {
+                ...descriptor,
+                get() {
+                    if (stats.recording) stats.layoutReads++;
+                    return descriptor.get.call(this);
+                }
+            });
+        } else {
+            target[name] = function(...args) {
+                if (stats.recording) stats.layoutReads++;
+                return descriptor.value.apply(this, args);
+            };
+        }
+    };
+
+    LAYOUT_READS.HTMLElement.forEach(name => count(window.HTMLElement.prototype, name));
+    LAYOUT_READS.Element.forEach(name => count(window.Element.prototype, name));
+    LAYOUT_READS.ElementMethods.forEach(name => count(window.Element.prototype, name));
+    count(window, 'getComputedStyle');
+    globalThis.getComputedStyle = window.getComputedStyle;
+
+    // Time every scroll listener and every frame callback, the two places scroll work runs
+    const timed = callback => function(...args) {
+        if (!stats.recording) return callback.apply(this, args);
+
+        const start = performance.now();
+        try {
+            return callback.apply(this, args);
+        } finally {
+            stats.handlerTime += performance.now() - start;
+            stats.handlerRuns++;
+        }
+    };
+
+    const addEventListener = window.addEventListener.bind(window);
+    window.addEventListener = (type, listener, options) => (
+        addEventListener(type, type === 'scroll' ? timed(listener) : listener, options)
+    );
+
+    const requestFrame = window.requestAnimationFrame.bind(window);
+    globalThis.requestAnimationFrame = callback => requestFrame(timed(callback));
+}
+
+function setScrollY(window, value) {
+    Object.defineProperty(window, 'scrollY', { value, configurable: true });
+    Object.defineProperty(window, 'pageYOffset', { value, configurable: true });
+}
+
+async function run(name) {
+    const { window } = createDom('', { html: readProjectFile('index.html') });
+    const stats = { recording: false, layoutReads: 0, handlerRuns: 0, handlerTime: 0 };
+    instrument(window, stats);
+
+    // jsdom reports 0 for every size; give the page a plausible height, still counted as a read
+    Object.defineProperty(window.document.documentElement, 'scrollHeight', {
+        get() {
+            if (stats.recording) stats.layoutReads++;
+            return 12000;
+        },
+        configurable: true
+    });
+    IMPLEMENTATIONS[name]();
+
+    stats.recording = true;
+    for (let i = 0; i < EVENTS; i++) {
+        setScrollY(window, i * 40);
+        window.dispatchEvent(new window.Event('scroll'));
+        await sleep(INTERVAL);
+    }
+    // Let the last frame and throttle timers run
+    await sleep(120);
+    stats.recording = false;
+
+    window.close();
+    return stats;
+}
+
+const results = {};
+for (const name of Object.keys(IMPLEMENTATIONS)) {
+    const stats = await run(name);
+    results[name] = {
+        'scroll events': EVENTS,
+        'handler runs': stats.handlerRuns,
+        'layout reads': stats.layoutReads,
+        'layout reads / event': Number((stats.layoutReads / EVENTS).toFixed(2)),
+        'handler ms': Number(stats.handlerTime.toFixed(2)),
+        'handler ms / event': Number((stats.handlerTime / EVENTS).toFixed(4))
+    };
+}
+
+console.table(results);
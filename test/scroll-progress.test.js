@@ -0,0 +1,93 @@
+import { beforeEach, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollProgress } from '../js/components/scroll-progress.js';
+import { createDom, createScroller } from './helpers/dom.js';
+
+describe('ScrollProgress', () => {
+    let scroller;
+    let progress;
+
+    beforeEach(() => {
+        createDom('<main></main>');
+        scroller = createScroller();
+    });
+
+    afterEach(() => progress.destroy());
+
+    // jsdom has no layout: fix the page height and let the component measure it
+    const setPageHeight = height => {
+        Object.defineProperty(document.documentElement, 'scrollHeight', { value: height, configurable: true });
+        progress.measure();
+    };
+
+    const scale = () => progress.progressBar.style.transform;
+
+    it('adds the bar to the page', () => {
+        progress = new ScrollProgress(null, scroller);
+        assert.ok(document.querySelector('.scroll-progress .scroll-progress-bar'));
+    });
+
+    it('stays at zero when the page is exactly as tall as the viewport', () => {
+        progress = new ScrollProgress(null, scroller);
+        setPageHeight(window.innerHeight);
+
+        scroller.emit(0);
+        assert.equal(scale(), 'scaleX(0)');
+    });
+
+    it('stays at zero when the page is shorter than the viewport', () => {
+        progress = new ScrollProgress(null, scroller);
+        setPageHeight(window.innerHeight - 200);
+
+        scroller.emit(50);
+        assert.equal(scale(), 'scaleX(0)');
+    });
+
+    it('follows the scroll position', () => {
+        progress = new ScrollProgress(null, scroller);
+        setPageHeight(window.innerHeight + 1000);
+
+        scroller.emit(250);
+        assert.equal(scale(), 'scaleX(0.25)');
+
+        scroller.emit(1000);
+        assert.equal(scale(), 'scaleX(1)');
+    });
+
+    it('clamps overscroll to the 0-1 range', () => {
+        progress = new ScrollProgress(null, scroller);
+        setPageHeight(window.innerHeight + 1000);
+
+        scroller.emit(-40);
+        assert.equal(scale(), 'scaleX(0)');
+
+        scroller.emit(1300);
+        assert.equal(scale(), 'scaleX(1)');
+    });
+
+    it('drops the easing when motion is reduced', () => {
+        const motion = { isReduced: () => true, subscribe: () => () => {} };
+        progress = new ScrollProgress(motion, scroller);
+
+        assert.equal(progress.progressBar.style.transition, 'none');
+    });
+
+    it('removes the bar and stops listening on destroy', () => {
+        progress = new ScrollProgress(null, scroller);
+        setPageHeight(window.innerHeight + 1000);
+        progress.destroy();
+
+        scroller.emit(500);
+        assert.equal(document.querySelector('.scroll-progress'), null);
+        assert.equal(scale(), 'scaleX(0)');
+    });
+
+    it('destroys the scheduler it created without a shared one', () => {
+        progress = new ScrollProgress();
+        const ownScroller = progress.scroller;
+        progress.destroy();
+
+        assert.equal(ownScroller.isDestroyed, true);
+    });
+});
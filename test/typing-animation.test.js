@@ -0,0 +1,89 @@
+import { beforeEach, afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TypingAnimation } from '../js/components/typing-animation.js';
+import { createDom, FakeIntersectionObserver } from './helpers/dom.js';
+
+describe('TypingAnimation', () => {
+    let element;
+    let typing;
+
+    beforeEach(() => {
+        createDom('<span class="typing-text" data-texts="Hi" data-type-speed="100" data-pause="2000"></span>');
+        element = document.querySelector('.typing-text');
+    });
+
+    afterEach(() => typing.destroy());
+
+    const start = (t, motion = null) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        typing = new TypingAnimation(element, motion);
+    };
+
+    // Types "Hi" and lands at the start of the pause after it
+    const typePhrase = t => {
+        t.mock.timers.tick(0);
+        t.mock.timers.tick(100);
+    };
+
+    const setOnScreen = isIntersecting => FakeIntersectionObserver.instances[0].trigger([element], isIntersecting);
+
+    it('types one character per keystroke delay', (t) => {
+        start(t);
+
+        t.mock.timers.tick(0);
+        assert.equal(element.textContent, 'H');
+
+        t.mock.timers.tick(100);
+        assert.equal(element.textContent, 'Hi');
+    });
+
+    it('finishes an interrupted pause instead of cutting it short', (t) => {
+        start(t);
+        typePhrase(t);
+        assert.equal(element.textContent, 'Hi');
+
+        // Scrolled away 500ms into the 2000ms pause
+        t.mock.timers.tick(500);
+        setOnScreen(false);
+        t.mock.timers.tick(10000);
+        setOnScreen(true);
+
+        t.mock.timers.tick(1499);
+        assert.equal(element.textContent, 'Hi');
+
+        t.mock.timers.tick(1);
+        assert.equal(element.textContent, 'H');
+    });
+
+    it('keeps the current delay when resumed while already running', (t) => {
+        start(t);
+        typePhrase(t);
+        t.mock.timers.tick(1000);
+        setOnScreen(true);
+
+        t.mock.timers.tick(999);
+        assert.equal(element.textContent, 'Hi');
+
+        t.mock.timers.tick(1);
+        assert.equal(element.textContent, 'H');
+    });
+
+    it('moves on right away when the motion preference changes', (t) => {
+        let notify;
+        const motion = {
+            isReduced: () => false,
+            subscribe: callback => {
+                notify = callback;
+                return () => {};
+            }
+        };
+        start(t, motion);
+        typePhrase(t);
+        t.mock.timers.tick(500);
+
+        notify(false);
+        t.mock.timers.tick(0);
+        assert.equal(element.textContent, 'H');
+    });
+});
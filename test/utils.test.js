@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { debounce, throttle, parsePeriod } from '../js/utils.js';
+import { sleep } from './helpers/dom.js';
+
+describe('debounce', () => {
+    it('runs once with the last arguments after calls stop', async () => {
+        const calls = [];
+        const debounced = debounce((...args) => calls.push(args), 30);
+
+        debounced(1);
+        debounced(2);
+        debounced(3);
+        assert.equal(calls.length, 0);
+
+        await sleep(80);
+        assert.deepEqual(calls, [[3]]);
+    });
+
+    it('restarts the wait on every call', async () => {
+        let count = 0;
+        const debounced = debounce(() => count++, 50);
+
+        debounced();
+        await sleep(30);
+        debounced();
+        await sleep(30);
+        assert.equal(count, 0);
+
+        await sleep(60);
+        assert.equal(count, 1);
+    });
+
+    it('runs on the leading edge only when immediate', async () => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 30, true);
+
+        debounced('a');
+        debounced('b');
+        assert.deepEqual(calls, ['a']);
+
+        await sleep(80);
+        assert.deepEqual(calls, ['a']);
+
+        debounced('c');
+        assert.deepEqual(calls, ['a', 'c']);
+    });
+});
+
+describe('throttle', () => {
+    it('runs the first call and drops the rest until the limit passes', async () => {
+        const calls = [];
+        const throttled = throttle(value => calls.push(value), 40);
+
+        throttled(1);
+        throttled(2);
+        throttled(3);
+        assert.deepEqual(calls, [1]);
+
+        await sleep(80);
+        throttled(4);
+        assert.deepEqual(calls, [1, 4]);
+    });
+
+    it('keeps the caller as this', () => {
+        const counter = {
+            count: 0,
+            increment: throttle(function () {
+                this.count++;
+            }, 40)
+        };
+
+        counter.increment();
+        assert.equal(counter.count, 1);
+    });
+});
+
+describe('parsePeriod', () => {
+    it('reads month/year ranges and "Present"', () => {
+        const { start, end } = parsePeriod('07/2022 - 07/2024');
+        assert.equal(start.getFullYear(), 2022);
+        assert.equal(start.getMonth(), 6);
+        assert.equal(end.getFullYear(), 2024);
+
+        assert.equal(parsePeriod('8/2017 - Present').end, null);
+    });
+
+    it('returns null for text it cannot parse', () => {
+        assert.equal(parsePeriod('sometime'), null);
+    });
+});